@@ -0,0 +1,197 @@
+import { downloadBlob } from "../utils/spreadsheet";
+import { EXPORT_COLUMNS } from "../utils/exportColumns";
+
+// The parts of the export page that scheduled exports share: the filter
+// fields, the column picker and downloading a finished file.
+
+export const EMPTY_FILTERS = {
+    status: "",
+    vendor: "",
+    productType: "",
+    tags: "",
+    collectionId: "",
+    inventoryBelow: "",
+    inventoryAbove: "",
+    skuPrefix: "",
+};
+
+// The form values for saved filters, which parseExportFilters reads back.
+export const filtersFormOf = (filters) => ({
+    ...EMPTY_FILTERS,
+    ...Object.fromEntries(Object.entries(filters || {}).map(([name, value]) =>
+        [name, Array.isArray(value) ? value.join(", ") : String(value)]
+    )),
+});
+
+export const describeFilters = (filters, collections) => {
+    const parts = [];
+    if (filters?.status) parts.push(`status ${filters.status.toLowerCase()}`);
+    if (filters?.vendor) parts.push(`vendor "${filters.vendor}"`);
+    if (filters?.productType) parts.push(`type "${filters.productType}"`);
+    if (filters?.tags?.length) parts.push(`tagged ${filters.tags.join(" or ")}`);
+    if (filters?.collectionId) {
+        const collection = collections.find(c => c.id === filters.collectionId);
+        parts.push(`in ${collection ? collection.title : "a collection"}`);
+    }
+    if (filters?.inventoryBelow !== undefined) parts.push(`inventory below ${filters.inventoryBelow}`);
+    if (filters?.inventoryAbove !== undefined) parts.push(`inventory above ${filters.inventoryAbove}`);
+    if (filters?.skuPrefix) parts.push(`SKU starting with "${filters.skuPrefix}"`);
+    return parts.length > 0 ? parts.join(", ") : "all products";
+};
+
+// Files are built by the export job and kept on the server; App Bridge adds
+// the session token to this fetch, which a plain link would not carry.
+export const downloadExport = (shopify, job) => {
+    fetch(`/app/export-files/${job.id}`).then(response => {
+        if (!response.ok) {
+            throw new Error(`Download failed (${response.status})`);
+        }
+        return response.blob();
+    }).then(blob => {
+        downloadBlob(blob, job.fileName);
+    }).catch(err => {
+        console.error(err);
+        shopify.toast.show("The export file could not be downloaded");
+    });
+};
+
+export const formatFileSize = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+};
+
+// Chosen columns first, in their order, then the others.
+const columnPickerRows = (columns) => [
+    ...columns.map(key => EXPORT_COLUMNS.find(column => column.key === key)),
+    ...EXPORT_COLUMNS.filter(column => !columns.includes(column.key)),
+];
+
+const moveColumn = (columns, key, offset) => {
+    const index = columns.indexOf(key);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= columns.length) {
+        return columns;
+    }
+    const moved = [...columns];
+    [moved[index], moved[target]] = [moved[target], moved[index]];
+    return moved;
+};
+
+// Rendered inline by the pages, like the rest of their form.
+export function renderFilterFields(filters, setFilters, collections) {
+    const setFilter = (name) => (e) => setFilters(current => ({ ...current, [name]: e.target.value }));
+
+    return (
+        <>
+            <s-select
+                label="Product status"
+                value={filters.status}
+                onChange={setFilter("status")}
+            >
+                <s-option value="">Any status</s-option>
+                <s-option value="ACTIVE">Active</s-option>
+                <s-option value="DRAFT">Draft</s-option>
+                <s-option value="ARCHIVED">Archived</s-option>
+            </s-select>
+            <s-text-field
+                label="Vendor"
+                value={filters.vendor}
+                onChange={setFilter("vendor")}
+            />
+            <s-text-field
+                label="Product type"
+                value={filters.productType}
+                onChange={setFilter("productType")}
+            />
+            <s-text-field
+                label="Tags"
+                details="Separate tags with commas. Products with any of them are exported."
+                value={filters.tags}
+                onChange={setFilter("tags")}
+            />
+            <s-select
+                label="Collection"
+                value={filters.collectionId}
+                onChange={setFilter("collectionId")}
+            >
+                <s-option value="">Any collection</s-option>
+                {collections.map((collection) => (
+                    <s-option key={collection.id} value={collection.id}>
+                        {collection.title}
+                    </s-option>
+                ))}
+            </s-select>
+            <s-number-field
+                label="Inventory below"
+                details="Total available quantity across all locations"
+                step={1}
+                value={filters.inventoryBelow}
+                onChange={setFilter("inventoryBelow")}
+            />
+            <s-number-field
+                label="Inventory above"
+                details="Total available quantity across all locations"
+                step={1}
+                value={filters.inventoryAbove}
+                onChange={setFilter("inventoryAbove")}
+            />
+            <s-text-field
+                label="SKU starts with"
+                value={filters.skuPrefix}
+                onChange={setFilter("skuPrefix")}
+            />
+        </>
+    );
+}
+
+export function renderColumnPicker(columns, setColumns) {
+    const toggleColumn = (key, isChecked) => setColumns(current =>
+        isChecked ? [...current, key] : current.filter(column => column !== key)
+    );
+
+    return (
+        <s-table>
+            <s-table-header-row>
+                <s-table-header>Include</s-table-header>
+                <s-table-header>Column</s-table-header>
+                <s-table-header>Order</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+                {columnPickerRows(columns).map((column) => {
+                    const position = columns.indexOf(column.key);
+                    return (
+                        <s-table-row key={column.key}>
+                            <s-table-cell>
+                                <s-checkbox
+                                    accessibilityLabel={`Include ${column.label}`}
+                                    checked={position >= 0 ? "true" : undefined}
+                                    onChange={(e) => toggleColumn(column.key, e.currentTarget.checked)}
+                                />
+                            </s-table-cell>
+                            <s-table-cell>{column.label}</s-table-cell>
+                            <s-table-cell>
+                                {position >= 0 && (
+                                    <s-stack gap="small-200" direction="inline">
+                                        <s-button
+                                            icon="arrow-up"
+                                            accessibilityLabel={`Move ${column.label} up`}
+                                            disabled={position === 0 ? "disabled" : undefined}
+                                            onClick={() => setColumns(current => moveColumn(current, column.key, -1))}
+                                        />
+                                        <s-button
+                                            icon="arrow-down"
+                                            accessibilityLabel={`Move ${column.label} down`}
+                                            disabled={position === columns.length - 1 ? "disabled" : undefined}
+                                            onClick={() => setColumns(current => moveColumn(current, column.key, 1))}
+                                        />
+                                    </s-stack>
+                                )}
+                            </s-table-cell>
+                        </s-table-row>
+                    );
+                })}
+            </s-table-body>
+        </s-table>
+    );
+}
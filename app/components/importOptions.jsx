@@ -0,0 +1,45 @@
+import { ADJUSTMENT_REASONS, BLANK_QUANTITIES, DUPLICATE_ROWS } from "../utils/importOptions";
+
+// The fields for how an import treats duplicate rows and blank quantities and
+// the reason it gives its changes, on the import page and in the settings
+// it starts from. `setOption(name, value)` changes one of them.
+
+const renderOptions = (options) =>
+    Object.entries(options).map(([key, { label }]) => (
+        <s-option key={key} value={key}>
+            {label}
+        </s-option>
+    ));
+
+export function renderImportOptionFields(values, setOption) {
+    return (
+        <>
+            <s-select
+                label="Rows repeating an earlier row"
+                details="Rows with the same match key, location and quantity as another row of the file."
+                value={values.duplicateRows}
+                onChange={(e) => setOption("duplicateRows", e.target.value)}
+            >
+                {renderOptions(DUPLICATE_ROWS)}
+            </s-select>
+
+            <s-select
+                label="Blank quantities"
+                details="For a mapped quantity column. Skipped quantities leave the stock as it is, and a row with nothing else to import is skipped. Blank cells of a file with a column per location are always skipped."
+                value={values.blankQuantity}
+                onChange={(e) => setOption("blankQuantity", e.target.value)}
+            >
+                {renderOptions(BLANK_QUANTITIES)}
+            </s-select>
+
+            <s-select
+                label="Adjustment reason"
+                details="Shown for the import's changes in the inventory history of each item."
+                value={values.adjustmentReason}
+                onChange={(e) => setOption("adjustmentReason", e.target.value)}
+            >
+                {renderOptions(ADJUSTMENT_REASONS)}
+            </s-select>
+        </>
+    );
+}
@@ -4,6 +4,13 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startImportWorker } from "./services/importWorker.server";
+import { startExportWorker } from "./services/exportWorker.server";
+import { startScheduler } from "./services/scheduler.server";
+
+startImportWorker();
+startExportWorker();
+startScheduler();
 
 export const streamTimeout = 5000;
 
@@ -0,0 +1,24 @@
+import prisma from "../db.server";
+
+// Mappings from a file's headers to the import fields, remembered per shop so
+// that the next file with the same headers maps itself.
+
+const SAVED_MAPPINGS_LIMIT = 100;
+
+export async function getColumnMappings(shop) {
+  return prisma.columnMapping.findMany({
+    where: { shop },
+    orderBy: { updatedAt: "desc" },
+    take: SAVED_MAPPINGS_LIMIT,
+    select: { signature: true, mapping: true },
+  });
+}
+
+export async function saveColumnMapping(shop, signature, mapping) {
+  return prisma.columnMapping.upsert({
+    where: { shop_signature: { shop, signature } },
+    create: { shop, signature, mapping },
+    update: { mapping },
+    select: { id: true },
+  });
+}
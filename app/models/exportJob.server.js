@@ -0,0 +1,175 @@
+import prisma from "../db.server";
+
+export const EXPORT_JOB_STATUS = {
+  PENDING: "PENDING",
+  RUNNING: "RUNNING",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+};
+
+// A running export checkpoints every time it polls its bulk operation, so
+// anything older was interrupted and can be picked up again.
+const STALE_JOB_MS = 5 * 60 * 1000;
+
+// Finished exports, with their files, kept per shop. Older ones are deleted
+// whenever an export finishes. Scheduled exports are kept per schedule
+// instead, as many as the schedule says.
+export const EXPORT_HISTORY_LIMIT = 20;
+
+const summarySelect = {
+  id: true,
+  status: true,
+  locationId: true,
+  format: true,
+  layout: true,
+  filters: true,
+  columns: true,
+  totalVariants: true,
+  expectedObjects: true,
+  objectCount: true,
+  rowCount: true,
+  fileName: true,
+  fileSize: true,
+  error: true,
+  createdAt: true,
+  startedAt: true,
+  finishedAt: true,
+};
+
+export function isExportJobActive(job) {
+  return (
+    job?.status === EXPORT_JOB_STATUS.PENDING ||
+    job?.status === EXPORT_JOB_STATUS.RUNNING
+  );
+}
+
+export async function createExportJob({ shop, locationId, format, layout, filters, columns, scheduleId }) {
+  return prisma.exportJob.create({
+    data: { shop, locationId, format, layout, filters, columns, scheduleId },
+    select: summarySelect,
+  });
+}
+
+export async function getExportJob(shop, id) {
+  return prisma.exportJob.findFirst({
+    where: { id, shop },
+    select: summarySelect,
+  });
+}
+
+export async function getExportHistory(shop) {
+  return prisma.exportJob.findMany({
+    where: { shop, scheduleId: null },
+    orderBy: { createdAt: "desc" },
+    take: EXPORT_HISTORY_LIMIT,
+    select: summarySelect,
+  });
+}
+
+export async function getExportFile(shop, id) {
+  return prisma.exportJob.findFirst({
+    where: { id, shop, status: EXPORT_JOB_STATUS.COMPLETED, file: { not: null } },
+    select: { format: true, fileName: true, file: true },
+  });
+}
+
+export async function claimNextExportJob() {
+  const next = await prisma.exportJob.findFirst({
+    where: { status: EXPORT_JOB_STATUS.PENDING },
+    orderBy: { createdAt: "asc" },
+    select: { id: true },
+  });
+
+  if (!next) {
+    return null;
+  }
+
+  const { count } = await prisma.exportJob.updateMany({
+    where: { id: next.id, status: EXPORT_JOB_STATUS.PENDING },
+    data: { status: EXPORT_JOB_STATUS.RUNNING, startedAt: new Date() },
+  });
+
+  if (count === 0) {
+    return claimNextExportJob();
+  }
+
+  return prisma.exportJob.findUnique({ where: { id: next.id } });
+}
+
+// `activeJobId` is the export this process is working on, which may spend
+// longer than that writing its file.
+export async function requeueStaleExportJobs(activeJobId = null) {
+  const { count } = await prisma.exportJob.updateMany({
+    where: {
+      status: EXPORT_JOB_STATUS.RUNNING,
+      updatedAt: { lt: new Date(Date.now() - STALE_JOB_MS) },
+      ...(activeJobId ? { id: { not: activeJobId } } : {}),
+    },
+    data: { status: EXPORT_JOB_STATUS.PENDING },
+  });
+
+  return count;
+}
+
+export async function saveExportJobProgress(id, progress) {
+  return prisma.exportJob.update({
+    where: { id },
+    data: progress,
+    select: { id: true },
+  });
+}
+
+export async function completeExportJob(id, { rowCount, fileName, file }) {
+  return prisma.exportJob.update({
+    where: { id },
+    data: {
+      rowCount,
+      fileName,
+      fileSize: file.length,
+      file,
+      status: EXPORT_JOB_STATUS.COMPLETED,
+      finishedAt: new Date(),
+    },
+    select: { id: true },
+  });
+}
+
+export async function failExportJob(id, error) {
+  return prisma.exportJob.update({
+    where: { id },
+    data: {
+      status: EXPORT_JOB_STATUS.FAILED,
+      error,
+      finishedAt: new Date(),
+    },
+    select: { id: true },
+  });
+}
+
+// Deletes the finished exports beyond the history limit: the shop's own
+// exports, or a schedule's when `scheduleId` is given. Completed exports and
+// failed ones are counted apart, so a run of failures never pushes out the
+// last good files. Exports that are still queued or running are never
+// counted or touched.
+export async function pruneExportHistory(shop, scheduleId = null, limit = EXPORT_HISTORY_LIMIT) {
+  const expiredWith = (status) =>
+    prisma.exportJob.findMany({
+      where: { shop, scheduleId, status },
+      orderBy: { createdAt: "desc" },
+      skip: limit,
+      select: { id: true },
+    });
+  const expired = [
+    ...(await expiredWith(EXPORT_JOB_STATUS.COMPLETED)),
+    ...(await expiredWith(EXPORT_JOB_STATUS.FAILED)),
+  ];
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  const { count } = await prisma.exportJob.deleteMany({
+    where: { id: { in: expired.map((job) => job.id) } },
+  });
+  return count;
+}
@@ -0,0 +1,113 @@
+import prisma from "../db.server";
+import { pruneExportHistory } from "./exportJob.server";
+
+// How many files a schedule may keep. Every file is stored with its export
+// job, so the upper bound keeps a frequent schedule from filling the database.
+export const MAX_KEEP_FILES = 100;
+
+const scheduleSelect = {
+  id: true,
+  name: true,
+  enabled: true,
+  scheduleType: true,
+  cron: true,
+  intervalMinutes: true,
+  locationId: true,
+  format: true,
+  layout: true,
+  filters: true,
+  columns: true,
+  keepFiles: true,
+  nextRunAt: true,
+  lastRunAt: true,
+  createdAt: true,
+};
+
+// A schedule's files are its export jobs, pruned down to `keepFiles` as each
+// one finishes.
+const jobSelect = {
+  id: true,
+  status: true,
+  format: true,
+  rowCount: true,
+  fileName: true,
+  fileSize: true,
+  error: true,
+  createdAt: true,
+  finishedAt: true,
+};
+
+export async function getExportSchedules(shop) {
+  return prisma.exportSchedule.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+    select: {
+      ...scheduleSelect,
+      jobs: { orderBy: { createdAt: "desc" }, select: jobSelect },
+    },
+  });
+}
+
+// Creates the schedule, or updates the shop's schedule with `id`.
+export async function saveExportSchedule(shop, id, data) {
+  if (!id) {
+    return prisma.exportSchedule.create({
+      data: { shop, ...data },
+      select: scheduleSelect,
+    });
+  }
+
+  const { count } = await prisma.exportSchedule.updateMany({
+    where: { id, shop },
+    data,
+  });
+  return count > 0;
+}
+
+// Deletes the schedule together with its files.
+export async function deleteExportSchedule(shop, id) {
+  const { count } = await prisma.exportSchedule.deleteMany({ where: { id, shop } });
+  return count > 0;
+}
+
+export async function setExportScheduleEnabled(shop, id, enabled, nextRunAt) {
+  const { count } = await prisma.exportSchedule.updateMany({
+    where: { id, shop },
+    data: { enabled, nextRunAt },
+  });
+  return count > 0;
+}
+
+export async function getExportScheduleForRun(shop, id) {
+  return prisma.exportSchedule.findFirst({
+    where: { id, shop },
+    select: { ...scheduleSelect, shop: true },
+  });
+}
+
+export async function getDueExportSchedules(now) {
+  return prisma.exportSchedule.findMany({
+    where: { enabled: true, nextRunAt: { lte: now } },
+    orderBy: { nextRunAt: "asc" },
+    select: { ...scheduleSelect, shop: true },
+  });
+}
+
+// Same guard as claimImportSchedule: only the instance whose update matched
+// runs the schedule.
+export async function claimExportSchedule(schedule, nextRunAt) {
+  const { count } = await prisma.exportSchedule.updateMany({
+    where: { id: schedule.id, enabled: true, nextRunAt: schedule.nextRunAt },
+    data: { nextRunAt, lastRunAt: new Date() },
+  });
+  return count > 0;
+}
+
+// Deletes the schedule's finished files beyond the number it keeps.
+export async function pruneScheduledExports(shop, scheduleId) {
+  const schedule = await prisma.exportSchedule.findFirst({
+    where: { id: scheduleId, shop },
+    select: { keepFiles: true },
+  });
+  return schedule ? pruneExportHistory(shop, scheduleId, schedule.keepFiles) : 0;
+}
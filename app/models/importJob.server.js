@@ -0,0 +1,495 @@
+import prisma from "../db.server";
+
+export const IMPORT_JOB_STATUS = {
+  PENDING: "PENDING",
+  RUNNING: "RUNNING",
+  PREVIEW: "PREVIEW",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+  CANCELLED: "CANCELLED",
+};
+
+// A running job writes a checkpoint at least this often, so anything older
+// was interrupted (deploy, crash) and can be picked up again.
+const STALE_JOB_MS = 5 * 60 * 1000;
+
+const summarySelect = {
+  id: true,
+  status: true,
+  fileName: true,
+  locationId: true,
+  mode: true,
+  conflictPolicy: true,
+  matchKey: true,
+  quantityName: true,
+  activateMissing: true,
+  tagsMode: true,
+  createMissing: true,
+  columnMapping: true,
+  headers: true,
+  totalRows: true,
+  processedRows: true,
+  updatedRows: true,
+  activatedRows: true,
+  skippedRows: true,
+  failedRows: true,
+  conflictRows: true,
+  preview: true,
+  totalChanges: true,
+  appliedChanges: true,
+  error: true,
+  createdAt: true,
+  startedAt: true,
+  plannedAt: true,
+  confirmedAt: true,
+  finishedAt: true,
+  rollbackStatus: true,
+  rolledBackAt: true,
+  userId: true,
+  userEmail: true,
+  userName: true,
+  rollbackUser: true,
+};
+
+export function isImportJobActive(job) {
+  return (
+    job?.status === IMPORT_JOB_STATUS.PENDING ||
+    job?.status === IMPORT_JOB_STATUS.RUNNING
+  );
+}
+
+// An undo goes through the same statuses as the import itself, kept in
+// `rollbackStatus` so the import's own outcome stays as it was.
+export function isImportRollbackActive(job) {
+  return (
+    job?.rollbackStatus === IMPORT_JOB_STATUS.PENDING ||
+    job?.rollbackStatus === IMPORT_JOB_STATUS.RUNNING
+  );
+}
+
+export async function createImportJob({
+  shop,
+  fileName,
+  locationId,
+  mode,
+  conflictPolicy,
+  matchKey,
+  quantityName,
+  activateMissing,
+  tagsMode,
+  createMissing,
+  duplicateRows,
+  blankQuantity,
+  adjustmentReason,
+  columnMapping,
+  headers,
+  rows,
+  preview,
+  user,
+}) {
+  return prisma.importJob.create({
+    data: {
+      shop,
+      fileName,
+      locationId,
+      mode,
+      conflictPolicy,
+      matchKey,
+      quantityName,
+      activateMissing: Boolean(activateMissing),
+      tagsMode,
+      createMissing: Boolean(createMissing),
+      duplicateRows,
+      blankQuantity,
+      adjustmentReason,
+      columnMapping,
+      headers,
+      rows,
+      totalRows: rows.length,
+      preview: Boolean(preview),
+      ...user,
+    },
+    select: summarySelect,
+  });
+}
+
+// Results are only sent once the job is done, and the plan only while it
+// waits for confirmation; while it runs the page just needs the counters.
+export async function getImportJob(shop, id) {
+  const job = await prisma.importJob.findFirst({
+    where: { id, shop },
+    select: {
+      ...summarySelect,
+      results: true,
+      plan: true,
+      rollbackResults: true,
+      scheduleRun: { select: { schedule: { select: { name: true } } } },
+    },
+  });
+
+  if (job && isImportJobActive(job)) {
+    job.results = null;
+  }
+  if (job && job.status !== IMPORT_JOB_STATUS.PREVIEW) {
+    job.plan = null;
+  }
+
+  return job;
+}
+
+export async function getLatestImportJob(shop) {
+  const latest = await prisma.importJob.findFirst({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    select: { id: true },
+  });
+
+  return latest ? getImportJob(shop, latest.id) : null;
+}
+
+// Claims the oldest pending job. The status guard on the update makes the
+// claim safe when more than one app instance is polling the table.
+export async function claimNextImportJob() {
+  const next = await prisma.importJob.findFirst({
+    where: { status: IMPORT_JOB_STATUS.PENDING },
+    orderBy: { createdAt: "asc" },
+    select: { id: true },
+  });
+
+  if (!next) {
+    return null;
+  }
+
+  const { count } = await prisma.importJob.updateMany({
+    where: { id: next.id, status: IMPORT_JOB_STATUS.PENDING },
+    data: { status: IMPORT_JOB_STATUS.RUNNING, startedAt: new Date() },
+  });
+
+  if (count === 0) {
+    return claimNextImportJob();
+  }
+
+  return prisma.importJob.findUnique({ where: { id: next.id } });
+}
+
+// `activeJobId` is the job this process is working on, which is slow rather
+// than stopped.
+export async function requeueStaleImportJobs(activeJobId = null) {
+  const staleBefore = new Date(Date.now() - STALE_JOB_MS);
+  const notActive = activeJobId ? { id: { not: activeJobId } } : {};
+  const [jobs, rollbacks] = await prisma.$transaction([
+    prisma.importJob.updateMany({
+      where: { status: IMPORT_JOB_STATUS.RUNNING, updatedAt: { lt: staleBefore }, ...notActive },
+      data: { status: IMPORT_JOB_STATUS.PENDING },
+    }),
+    prisma.importJob.updateMany({
+      where: { rollbackStatus: IMPORT_JOB_STATUS.RUNNING, updatedAt: { lt: staleBefore }, ...notActive },
+      data: { rollbackStatus: IMPORT_JOB_STATUS.PENDING },
+    }),
+  ]);
+
+  return jobs.count + rollbacks.count;
+}
+
+// Writes the changes that were applied since the last checkpoint together
+// with the checkpoint, so the journal an undo works from never falls behind
+// the counters.
+function journalOf(id, changes) {
+  return prisma.importChange.createMany({
+    data: changes.map((change) => ({ ...change, jobId: id })),
+  });
+}
+
+// Marks the batch at `position` of the plan as being sent. Until the next
+// checkpoint clears it, a resumed job cannot tell whether the batch was
+// written.
+export async function markImportBatchInFlight(id, position) {
+  return prisma.importJob.update({
+    where: { id },
+    data: { inFlightAt: position },
+    select: { id: true },
+  });
+}
+
+export async function saveImportJobProgress(id, progress, changes = []) {
+  const [job] = await prisma.$transaction([
+    prisma.importJob.update({
+      where: { id },
+      data: progress,
+      select: { id: true },
+    }),
+    journalOf(id, changes),
+  ]);
+
+  return job;
+}
+
+export async function completeImportJob(id, progress, changes = []) {
+  const [job] = await prisma.$transaction([
+    prisma.importJob.update({
+      where: { id },
+      data: {
+        ...progress,
+        status: IMPORT_JOB_STATUS.COMPLETED,
+        finishedAt: new Date(),
+      },
+      select: { id: true },
+    }),
+    journalOf(id, changes),
+  ]);
+
+  return job;
+}
+
+export async function savePlannedImportJob(id, { preview, ...progress }) {
+  return prisma.importJob.update({
+    where: { id },
+    data: {
+      ...progress,
+      plannedAt: new Date(),
+      ...(preview ? { status: IMPORT_JOB_STATUS.PREVIEW } : {}),
+    },
+    select: { id: true },
+  });
+}
+
+// Only a job that is waiting in preview can be confirmed or discarded, which
+// also makes a double click on "Apply" harmless.
+export async function confirmImportJob(shop, id) {
+  const { count } = await prisma.importJob.updateMany({
+    where: { id, shop, status: IMPORT_JOB_STATUS.PREVIEW },
+    data: { status: IMPORT_JOB_STATUS.PENDING, confirmedAt: new Date() },
+  });
+
+  return count > 0;
+}
+
+export async function cancelImportJob(shop, id) {
+  const { count } = await prisma.importJob.updateMany({
+    where: { id, shop, status: IMPORT_JOB_STATUS.PREVIEW },
+    data: { status: IMPORT_JOB_STATUS.CANCELLED, finishedAt: new Date() },
+  });
+
+  return count > 0;
+}
+
+export async function failImportJob(id, error) {
+  return prisma.importJob.update({
+    where: { id },
+    data: {
+      status: IMPORT_JOB_STATUS.FAILED,
+      error,
+      finishedAt: new Date(),
+    },
+    select: { id: true },
+  });
+}
+
+// Only a completed import that changed something can be undone, and only
+// once. `user` is who asked for the undo.
+export async function requestImportRollback(shop, id, user) {
+  const { count } = await prisma.importJob.updateMany({
+    where: {
+      id,
+      shop,
+      status: IMPORT_JOB_STATUS.COMPLETED,
+      rollbackStatus: null,
+      changes: { some: {} },
+    },
+    data: { rollbackStatus: IMPORT_JOB_STATUS.PENDING, rollbackUser: user },
+  });
+
+  return count > 0;
+}
+
+export async function claimNextImportRollback() {
+  const next = await prisma.importJob.findFirst({
+    where: { rollbackStatus: IMPORT_JOB_STATUS.PENDING },
+    orderBy: { updatedAt: "asc" },
+    select: { id: true },
+  });
+
+  if (!next) {
+    return null;
+  }
+
+  const { count } = await prisma.importJob.updateMany({
+    where: { id: next.id, rollbackStatus: IMPORT_JOB_STATUS.PENDING },
+    data: { rollbackStatus: IMPORT_JOB_STATUS.RUNNING },
+  });
+
+  if (count === 0) {
+    return claimNextImportRollback();
+  }
+
+  return prisma.importJob.findUnique({ where: { id: next.id } });
+}
+
+export async function countImportChanges(jobId) {
+  return prisma.importChange.count({ where: { jobId } });
+}
+
+// Journal entries the undo has not dealt with yet, oldest first.
+// Tracking the import turned on is only turned off again once the rest of
+// the journal is undone, as the item's levels and stock need it until then.
+export async function getPendingImportChanges(jobId, take) {
+  const pending = { jobId, revertedAt: null, revertError: null };
+  const changes = await prisma.importChange.findMany({
+    where: { ...pending, kind: { not: "TRACKING" } },
+    orderBy: { id: "asc" },
+    take,
+  });
+  if (changes.length > 0) {
+    return changes;
+  }
+
+  return prisma.importChange.findMany({
+    where: { ...pending, kind: "TRACKING" },
+    orderBy: { id: "asc" },
+    take,
+  });
+}
+
+// The items with an activation the undo could not remove.
+export async function getKeptImportItems(jobId) {
+  const kept = await prisma.importChange.findMany({
+    where: { jobId, kind: "ACTIVATION", revertError: { not: null } },
+    distinct: ["inventoryItemId"],
+    select: { inventoryItemId: true },
+  });
+  return new Set(kept.map((change) => change.inventoryItemId));
+}
+
+// `outcomes` holds `{ id, error }` per journal entry; entries without an error
+// were reverted.
+export async function saveImportRollbackProgress(id, rollbackResults, outcomes) {
+  const revertedAt = new Date();
+  const reverted = outcomes.filter((outcome) => !outcome.error).map((outcome) => outcome.id);
+
+  await prisma.$transaction([
+    prisma.importChange.updateMany({
+      where: { id: { in: reverted } },
+      data: { revertedAt },
+    }),
+    ...outcomes
+      .filter((outcome) => outcome.error)
+      .map((outcome) =>
+        prisma.importChange.update({
+          where: { id: outcome.id },
+          data: { revertError: outcome.error },
+        }),
+      ),
+    prisma.importJob.update({
+      where: { id },
+      data: { rollbackResults },
+    }),
+  ]);
+}
+
+export async function completeImportRollback(id, rollbackResults) {
+  return prisma.importJob.update({
+    where: { id },
+    data: {
+      rollbackResults,
+      rollbackStatus: IMPORT_JOB_STATUS.COMPLETED,
+      rolledBackAt: new Date(),
+    },
+    select: { id: true },
+  });
+}
+
+// Keeps what the undo got through before it failed, with the error added.
+export async function failImportRollback(id, error) {
+  const { rollbackResults } = await prisma.importJob.findUnique({
+    where: { id },
+    select: { rollbackResults: true },
+  });
+
+  return prisma.importJob.update({
+    where: { id },
+    data: {
+      rollbackStatus: IMPORT_JOB_STATUS.FAILED,
+      rollbackResults: { ...rollbackResults, error },
+    },
+    select: { id: true },
+  });
+}
+
+// Jobs on a page of the import history, newest first.
+export const IMPORT_HISTORY_PAGE_SIZE = 25;
+
+// Journal entries listed when the history is searched for a SKU.
+export const SKU_CHANGES_SHOWN = 100;
+
+// The jobs the history filters match. A SKU matches the jobs that changed it;
+// `from` and `to` are the start and end of the period.
+function historyWhere(shop, { sku, userId, fileName, status, from, to }) {
+  return {
+    shop,
+    ...(userId ? { userId } : {}),
+    ...(status ? { status } : {}),
+    ...(fileName ? { fileName: { contains: fileName, mode: "insensitive" } } : {}),
+    ...(from || to ? { createdAt: { gte: from ?? undefined, lt: to ?? undefined } } : {}),
+    ...(sku ? { changes: { some: { sku } } } : {}),
+  };
+}
+
+// A page of the shop's imports with the scheduled run behind each, if any.
+export async function getImportHistory(shop, filters, page) {
+  const where = historyWhere(shop, filters);
+  const [jobs, total] = await prisma.$transaction([
+    prisma.importJob.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * IMPORT_HISTORY_PAGE_SIZE,
+      take: IMPORT_HISTORY_PAGE_SIZE,
+      select: { ...summarySelect, scheduleRun: { select: { schedule: { select: { name: true } } } } },
+    }),
+    prisma.importJob.count({ where }),
+  ]);
+
+  return { jobs, total };
+}
+
+// Everyone who has imported into the shop, most recent first.
+export async function getImportUsers(shop) {
+  return prisma.importJob.findMany({
+    where: { shop, userId: { not: null } },
+    distinct: ["userId"],
+    orderBy: { createdAt: "desc" },
+    select: { userId: true, userEmail: true, userName: true },
+  });
+}
+
+// What imports wrote for a SKU, newest first, with who wrote it. Undone
+// entries are included with the time they were undone.
+export async function getSkuChanges(shop, { sku, userId, from, to }) {
+  return prisma.importChange.findMany({
+    where: {
+      sku,
+      job: { shop, ...(userId ? { userId } : {}) },
+      ...(from || to ? { createdAt: { gte: from ?? undefined, lt: to ?? undefined } } : {}),
+    },
+    orderBy: { createdAt: "desc" },
+    take: SKU_CHANGES_SHOWN,
+    select: {
+      id: true,
+      kind: true,
+      locationId: true,
+      before: true,
+      after: true,
+      createdAt: true,
+      revertedAt: true,
+      job: {
+        select: {
+          id: true,
+          fileName: true,
+          userId: true,
+          userEmail: true,
+          userName: true,
+          scheduleRun: { select: { schedule: { select: { name: true } } } },
+        },
+      },
+    },
+  });
+}
@@ -0,0 +1,205 @@
+import crypto from "node:crypto";
+import prisma from "../db.server";
+
+export const SCHEDULE_RUN_STATUS = {
+  RUNNING: "RUNNING",
+  QUEUED: "QUEUED",
+  FAILED: "FAILED",
+};
+
+// Runs shown per schedule. Each run that got a file has queued an import job,
+// which holds the rows and results of the run.
+export const SCHEDULE_RUNS_SHOWN = 10;
+
+// The SFTP password never leaves the server; the page only learns whether
+// one is saved.
+const scheduleSelect = {
+  id: true,
+  name: true,
+  enabled: true,
+  scheduleType: true,
+  cron: true,
+  intervalMinutes: true,
+  sourceUrl: true,
+  sftpPassword: true,
+  locationId: true,
+  mode: true,
+  conflictPolicy: true,
+  matchKey: true,
+  columnMapping: true,
+  nextRunAt: true,
+  lastRunAt: true,
+  createdAt: true,
+};
+
+const runSelect = {
+  id: true,
+  status: true,
+  fileName: true,
+  fileSize: true,
+  error: true,
+  startedAt: true,
+  finishedAt: true,
+  job: {
+    select: {
+      id: true,
+      status: true,
+      totalRows: true,
+      updatedRows: true,
+      skippedRows: true,
+      failedRows: true,
+      conflictRows: true,
+      error: true,
+    },
+  },
+};
+
+// SFTP passwords are stored encrypted with a key derived from the app's API
+// secret, so the database alone does not give them away. Passwords saved in
+// the clear before are read as they are, and sealed the next time the
+// schedule is saved; after a new API secret they have to be entered again.
+const SEALED_PREFIX = "v1:";
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function passwordKey() {
+  const secret = process.env.SHOPIFY_API_SECRET;
+  if (!secret) {
+    throw new Error("SHOPIFY_API_SECRET is needed to keep SFTP passwords");
+  }
+  return Buffer.from(crypto.hkdfSync("sha256", secret, "", "import-schedule-sftp-password", 32));
+}
+
+function sealPassword(password) {
+  if (!password) {
+    return null;
+  }
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", passwordKey(), iv);
+  const sealed = Buffer.concat([cipher.update(password, "utf8"), cipher.final()]);
+  return SEALED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), sealed]).toString("base64");
+}
+
+function openPassword(stored) {
+  if (!stored?.startsWith(SEALED_PREFIX)) {
+    return stored || null;
+  }
+  const data = Buffer.from(stored.slice(SEALED_PREFIX.length), "base64");
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", passwordKey(), data.subarray(0, IV_BYTES));
+    decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString("utf8");
+  } catch {
+    return null;
+  }
+}
+
+const withOpenPassword = (schedule) => schedule && { ...schedule, sftpPassword: openPassword(schedule.sftpPassword) };
+
+// Addresses saved before they were refused with a password in them still
+// have it, which the page must not get.
+function withoutUrlPassword(sourceUrl) {
+  try {
+    const url = new URL(sourceUrl);
+    if (!url.password) {
+      return sourceUrl;
+    }
+    url.password = "";
+    return url.toString();
+  } catch {
+    return sourceUrl;
+  }
+}
+
+function withoutPassword({ sftpPassword, ...schedule }) {
+  return { ...schedule, sourceUrl: withoutUrlPassword(schedule.sourceUrl), hasPassword: Boolean(sftpPassword) };
+}
+
+export async function getImportSchedules(shop) {
+  const schedules = await prisma.importSchedule.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+    select: {
+      ...scheduleSelect,
+      runs: { orderBy: { startedAt: "desc" }, take: SCHEDULE_RUNS_SHOWN, select: runSelect },
+    },
+  });
+
+  return schedules.map(withoutPassword);
+}
+
+// Creates the schedule, or updates the shop's schedule with `id`. The
+// password is the one to keep, which the page picks with sftpPasswordFor.
+export async function saveImportSchedule(shop, id, { sftpPassword, ...data }) {
+  const stored = { ...data, sftpPassword: sealPassword(sftpPassword) };
+  if (!id) {
+    const schedule = await prisma.importSchedule.create({
+      data: { shop, ...stored },
+      select: scheduleSelect,
+    });
+    return withoutPassword(schedule);
+  }
+
+  const { count } = await prisma.importSchedule.updateMany({
+    where: { id, shop },
+    data: stored,
+  });
+  return count > 0;
+}
+
+export async function deleteImportSchedule(shop, id) {
+  const { count } = await prisma.importSchedule.deleteMany({ where: { id, shop } });
+  return count > 0;
+}
+
+export async function setImportScheduleEnabled(shop, id, enabled, nextRunAt) {
+  const { count } = await prisma.importSchedule.updateMany({
+    where: { id, shop },
+    data: { enabled, nextRunAt },
+  });
+  return count > 0;
+}
+
+// The shop's schedule with everything the runner needs, password included.
+export async function getImportScheduleForRun(shop, id) {
+  const schedule = await prisma.importSchedule.findFirst({
+    where: { id, shop },
+    select: { ...scheduleSelect, shop: true },
+  });
+  return withOpenPassword(schedule);
+}
+
+export async function getDueImportSchedules(now) {
+  const schedules = await prisma.importSchedule.findMany({
+    where: { enabled: true, nextRunAt: { lte: now } },
+    orderBy: { nextRunAt: "asc" },
+    select: { ...scheduleSelect, shop: true },
+  });
+  return schedules.map(withOpenPassword);
+}
+
+// Moves a due schedule on to its next run. The guard on `nextRunAt` makes the
+// claim safe when more than one app instance checks the schedules: only the
+// instance whose update matched runs it.
+export async function claimImportSchedule(schedule, nextRunAt) {
+  const { count } = await prisma.importSchedule.updateMany({
+    where: { id: schedule.id, enabled: true, nextRunAt: schedule.nextRunAt },
+    data: { nextRunAt, lastRunAt: new Date() },
+  });
+  return count > 0;
+}
+
+export async function createImportScheduleRun(scheduleId) {
+  return prisma.importScheduleRun.create({
+    data: { scheduleId },
+    select: { id: true },
+  });
+}
+
+export async function finishImportScheduleRun(id, { status, fileName, fileSize, error, jobId }) {
+  return prisma.importScheduleRun.update({
+    where: { id },
+    data: { status, fileName, fileSize, error, jobId, finishedAt: new Date() },
+    select: { id: true, status: true, error: true },
+  });
+}
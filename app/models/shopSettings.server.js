@@ -0,0 +1,47 @@
+import prisma from "../db.server";
+import { cleanExportColumns, DEFAULT_EXPORT_COLUMNS } from "../utils/exportColumns";
+
+// The defaults the import and export pages start from, per shop. A shop that
+// never saved its settings gets the ones below.
+
+const DEFAULT_SETTINGS = {
+  defaultLocationId: null,
+  matchKey: "SKU",
+  duplicateRows: "ERROR",
+  blankQuantity: "SKIP",
+  adjustmentReason: "correction",
+  exportFormat: "XLSX",
+};
+
+const settingsSelect = {
+  defaultLocationId: true,
+  matchKey: true,
+  duplicateRows: true,
+  blankQuantity: true,
+  adjustmentReason: true,
+  exportFormat: true,
+  exportColumns: true,
+};
+
+export async function getShopSettings(shop) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shop },
+    select: settingsSelect,
+  });
+
+  const columns = cleanExportColumns(settings?.exportColumns);
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+    exportColumns: columns.length > 0 ? columns : DEFAULT_EXPORT_COLUMNS,
+  };
+}
+
+export async function saveShopSettings(shop, data) {
+  return prisma.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+    select: settingsSelect,
+  });
+}
@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+import { getExportFile } from "../models/exportJob.server";
+import { SPREADSHEET_FORMATS } from "../utils/spreadsheet";
+import { parseId } from "../utils/formFields";
+
+export const loader = async ({ request, params }) => {
+    const { session } = await authenticate.admin(request);
+
+    const jobId = parseId(params.jobId);
+    const exportFile = jobId ? await getExportFile(session.shop, jobId) : null;
+    if (!exportFile) {
+        throw new Response("Export file not found", { status: 404 });
+    }
+
+    return new Response(exportFile.file, {
+        headers: {
+            "Content-Type": SPREADSHEET_FORMATS[exportFile.format].mimeType,
+            "Content-Disposition": `attachment; filename="${exportFile.fileName}"`,
+        },
+    });
+};
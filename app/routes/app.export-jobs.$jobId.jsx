@@ -0,0 +1,15 @@
+import { authenticate } from "../shopify.server";
+import { getExportJob } from "../models/exportJob.server";
+import { parseId } from "../utils/formFields";
+
+export const loader = async ({ request, params }) => {
+    const { session } = await authenticate.admin(request);
+
+    const jobId = parseId(params.jobId);
+    const job = jobId ? await getExportJob(session.shop, jobId) : null;
+    if (!job) {
+        throw new Response("Export job not found", { status: 404 });
+    }
+
+    return { job };
+};
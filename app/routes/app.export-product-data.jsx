@@ -1,13 +1,27 @@
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { useFetcher } from "react-router";
 import { authenticate } from "../shopify.server";
-import ExcelJS from "exceljs";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { ProgressBar } from "@shopify/polaris";
+import { createExportJob, EXPORT_HISTORY_LIMIT, getExportHistory } from "../models/exportJob.server";
+import { getShopSettings } from "../models/shopSettings.server";
+import { wakeExportWorker } from "../services/exportWorker.server";
+import { parseExportFilters } from "../services/exportFilters.server";
+import { SPREADSHEET_FORMATS } from "../utils/spreadsheet";
+import { cleanExportColumns, EXPORT_LAYOUTS } from "../utils/exportColumns";
+import { optionOf, readJsonField } from "../utils/formFields";
+import {
+    describeFilters,
+    downloadExport,
+    EMPTY_FILTERS,
+    formatFileSize,
+    renderColumnPicker,
+    renderFilterFields
+} from "../components/exportOptions";
 
 
 export const loader = async ({ request }) => {
-    const { admin } = await authenticate.admin(request);
+    const { admin, session } = await authenticate.admin(request);
 
 
     const response = await admin.graphql(
@@ -22,6 +36,12 @@ export const loader = async ({ request }) => {
                     }
                 }
             }
+            collections(first: 250, sortKey: TITLE) {
+                nodes {
+                    id
+                    title
+                }
+            }
         }`
     );
 
@@ -31,229 +51,164 @@ export const loader = async ({ request }) => {
         name: edge.node.name,
         isActive: edge.node.isActive
     })) || [];
+    const collections = data.data?.collections?.nodes || [];
+
+    const history = await getExportHistory(session.shop);
+    const settings = await getShopSettings(session.shop);
 
-    return { locations };
+    return { locations, collections, job: history[0] || null, history, historyLimit: EXPORT_HISTORY_LIMIT, settings };
 };
 
 export const action = async ({ request }) => {
-    const { admin } = await authenticate.admin(request);
+    const { session } = await authenticate.admin(request);
 
     const formData = await request.formData();
     const locationId = formData.get("locationId");
+    const format = optionOf(SPREADSHEET_FORMATS, formData.get("format"), "XLSX");
+    const layout = optionOf(EXPORT_LAYOUTS, formData.get("layout"), "ROWS");
 
-    const response = await admin.graphql(
-        `#graphql
-    query getProducts {
-      products(first: 50) {
-        edges {
-          node {
-            title
-            variants(first: 10) {
-              edges {
-                node {
-                  title
-                  sku
-                  price
-                  compareAtPrice
-                  selectedOptions {
-                    name
-                    value
-                  }
-                  inventoryItem {
-                    inventoryLevels(first: 10) {
-                      edges {
-                        node {
-                          location {
-                            id
-                            name
-                          }
-                          quantities(names: ["available"]) {
-                            quantity
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    }`
-    );
-
-    const responseJson = await response.json();
-
-    if (responseJson.errors) {
-        return { success: false, error: "GraphQL errors occurred" };
+    if (!locationId || locationId === "SELECT_LOCATION") {
+        return { success: false, error: "Please select a location first" };
     }
 
-    const products = responseJson.data?.products?.edges || [];
-
-    const rows = [];
-    products.forEach((productEdge) => {
-        const product = productEdge.node;
-
-        product.variants.edges.forEach((variantEdge) => {
-            const variant = variantEdge.node;
-            const options = {};
-            options["Option1 Value"] = "";
-            options["Option2 Value"] = "";
-            options["Option3 Value"] = "";
-
-            variant.selectedOptions.forEach((opt, index) => {
-                if (index < 3) {
-                    options[`Option${index + 1} Value`] = opt.value;
-                }
-            });
-
-            const inventoryEdges = variant.inventoryItem?.inventoryLevels?.edges || [];
-
-
-            const filteredInventory = (locationId && locationId !== "ALL_LOCATIONS")
-                ? inventoryEdges.filter(edge => edge.node.location.id === locationId)
-                : inventoryEdges;
-
-            if (filteredInventory.length === 0) {
-
-                if (!locationId || locationId === "ALL_LOCATIONS") {
-                    rows.push({
-                        "Product Title": product.title,
-                        "SKU": variant.sku || "",
-                        "Option1 Value": options["Option1 Value"],
-                        "Option2 Value": options["Option2 Value"],
-                        "Option3 Value": options["Option3 Value"],
-                        "Price": variant.price || "",
-                        "CompareAt Price": variant.compareAtPrice || "",
-                        "Inventory Location": "N/A",
-                        "Quantity Available": 0
-                    });
-                }
-            } else {
-                filteredInventory.forEach((levelEdge) => {
-                    const level = levelEdge.node;
-                    rows.push({
-                        "Product Title": product.title,
-                        "SKU": variant.sku || "",
-                        "Option1 Value": options["Option1 Value"],
-                        "Option2 Value": options["Option2 Value"],
-                        "Option3 Value": options["Option3 Value"],
-                        "Price": variant.price || "",
-                        "CompareAt Price": variant.compareAtPrice || "",
-                        "Inventory Location": level.location.name,
-                        "Quantity Available": level.quantities[0]?.quantity || 0
-                    });
-                });
-            }
-        });
-    });
+    if (layout === "SHEETS" && format !== "XLSX") {
+        return { success: false, error: "One worksheet per location needs the XLSX format" };
+    }
 
-    if (rows.length === 0) {
-        rows.push({
-            "Product Title": "No data found",
-            "SKU": "",
-            "Option1 Value": "",
-            "Option2 Value": "",
-            "Option3 Value": "",
-            "Price": "",
-            "CompareAt Price": "",
-            "Inventory Location": "",
-            "Quantity Available": ""
-        });
+    const columns = cleanExportColumns(readJsonField(formData, "columns", []));
+    if (columns.length === 0) {
+        return { success: false, error: "Choose at least one column to export" };
     }
+    const job = await createExportJob({
+        shop: session.shop,
+        locationId: String(locationId),
+        format,
+        layout,
+        filters: parseExportFilters(formData),
+        columns,
+    });
+    wakeExportWorker();
 
-    return { success: true, rows };
+    return { success: true, job };
 };
 
 export default function ExportProductData() {
     const shopify = useAppBridge();
     const fetcher = useFetcher();
     const loaderFetcher = useFetcher();
+    const jobFetcher = useFetcher();
+    const [job, setJob] = useState(null);
     const [selectedLocation, setSelectedLocation] = useState("SELECT_LOCATION");
-    const [progress, setProgress] = useState(0);
-    const [isProgressVisible, setIsProgressVisible] = useState(false);
-
-    const isLoading = fetcher.state === "submitting" || fetcher.state === "loading";
+    const [exportFormat, setExportFormat] = useState("XLSX");
+    const [exportLayout, setExportLayout] = useState("ROWS");
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [columns, setColumns] = useState(null);
+    const [history, setHistory] = useState([]);
+    const wasJobActiveRef = useRef(false);
+    const settingsAppliedRef = useRef(false);
+
+    const isSubmitting = fetcher.state === "submitting" || fetcher.state === "loading";
+    const isJobActive = job?.status === "PENDING" || job?.status === "RUNNING";
+    const isLoading = isSubmitting || isJobActive;
     const locations = loaderFetcher.data?.locations || [];
+    const collections = loaderFetcher.data?.collections || [];
+    const locationName = (locationId) => locationId === "ALL_LOCATIONS"
+        ? "All Locations"
+        : locations.find(location => location.id === locationId)?.name || locationId;
+    // Collecting is most of the work; reading the result file is quick.
+    const progress = job?.expectedObjects
+        ? Math.min((job.objectCount / job.expectedObjects) * 100, 99)
+        : 0;
 
     useEffect(() => {
 
         loaderFetcher.load("/app/export-product-data");
     }, []);
 
+    // An export that is still running keeps reporting progress after a
+    // reload.
     useEffect(() => {
-        if (isLoading) {
-            setIsProgressVisible(true);
-            setProgress(0);
+        if (loaderFetcher.data?.job) {
+            setJob(loaderFetcher.data.job);
+        }
+        // The page starts from the shop's settings; the data is loaded again
+        // after each export, which must not undo the user's choices.
+        const settings = loaderFetcher.data?.settings;
+        if (settings && !settingsAppliedRef.current) {
+            settingsAppliedRef.current = true;
+            setColumns(settings.exportColumns);
+            setExportFormat(settings.exportFormat);
+            if (settings.defaultLocationId === "ALL_LOCATIONS" || loaderFetcher.data.locations.some(location => location.id === settings.defaultLocationId)) {
+                setSelectedLocation(settings.defaultLocationId);
+            }
+        }
+        if (loaderFetcher.data?.history) {
+            setHistory(loaderFetcher.data.history);
+        }
+    }, [loaderFetcher.data]);
 
-            const estimatedTimeMs = 3000;
-            const intervalMs = 100;
+    // The job being watched is the newest entry of the history.
+    useEffect(() => {
+        if (job) {
+            setHistory(current => [job, ...current.filter(entry => entry.id !== job.id)]);
+        }
+    }, [job]);
 
-            const totalSteps = estimatedTimeMs / intervalMs;
-            const linearIncrement = 90 / totalSteps;
+    useEffect(() => {
+        if (fetcher.data?.job) {
+            setJob(fetcher.data.job);
+        } else if (fetcher.data?.error) {
+            shopify.toast.show(fetcher.data.error);
+        }
+    }, [fetcher.data, shopify]);
 
-            const interval = setInterval(() => {
-                setProgress((prev) => {
-                    if (prev < 90) {
-                        return Math.min(prev + linearIncrement, 90);
-                    } else {
-                        const target = 99;
-                        const remaining = target - prev;
-                        return prev + Math.max(remaining * 0.01, 0.01);
-                    }
-                });
-            }, intervalMs);
-            return () => clearInterval(interval);
-        } else if (isProgressVisible && !isLoading) {
-            setProgress(100);
+    useEffect(() => {
+        if (jobFetcher.data?.job) {
+            setJob(jobFetcher.data.job);
+        }
+    }, [jobFetcher.data]);
+
+    useEffect(() => {
+        if (!isJobActive || jobFetcher.state !== "idle") {
+            return;
         }
-    }, [isLoading, isProgressVisible]);
 
+        const timeout = setTimeout(() => {
+            jobFetcher.load(`/app/export-jobs/${job.id}`);
+        }, 1000);
+        return () => clearTimeout(timeout);
+    }, [isJobActive, job, jobFetcher.state]);
+
+    // The file is downloaded once, when the job this page was watching
+    // finishes; after that it stays available in the history.
     useEffect(() => {
-        if (!isLoading && fetcher.data?.success && isProgressVisible) {
-            const timeout = setTimeout(() => {
-                setIsProgressVisible(false);
-            }, 300);
-            return () => clearTimeout(timeout);
+        if (isJobActive) {
+            wasJobActiveRef.current = true;
+            return;
+        }
+        if (!wasJobActiveRef.current) {
+            return;
         }
-    }, [isLoading, fetcher.data?.success, isProgressVisible]);
+        wasJobActiveRef.current = false;
+
+        if (job?.status === "COMPLETED" && job.rowCount > 0) {
+            shopify.toast.show("Export complete");
+            downloadExport(shopify, job);
+        } else if (job?.status === "COMPLETED") {
+            shopify.toast.show("No products to export");
+        } else if (job?.status === "FAILED") {
+            shopify.toast.show(`Export failed: ${job.error}`);
+        }
+    }, [isJobActive, job, shopify]);
 
     const handleExport = () => {
         shopify.toast.show("Exporting products...");
         fetcher.submit(
-            { locationId: selectedLocation },
+            { locationId: selectedLocation, format: exportFormat, layout: exportLayout, columns: JSON.stringify(columns || []), ...filters },
             { method: "POST" }
         );
     };
 
-    useEffect(() => {
-        if (fetcher.data?.success && fetcher.state === "idle") {
-            const workbook = new ExcelJS.Workbook();
-            const worksheet = workbook.addWorksheet("Products");
-
-            worksheet.addRow(Object.keys(fetcher.data.rows[0] || {}));
-
-            fetcher.data.rows.forEach(row => worksheet.addRow(Object.values(row)));
-
-            workbook.xlsx.writeBuffer().then(buffer => {
-                const blob = new Blob([buffer], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement("a");
-                a.href = url;
-                a.download = "products_export.xlsx";
-                a.click();
-                URL.revokeObjectURL(url);
-                shopify.toast.show("Export complete");
-            }).catch(err => {
-                console.error(err);
-                shopify.toast.show("Export failed");
-            });
-        } else if (fetcher.data?.error) {
-            shopify.toast.show("Export failed");
-        }
-    }, [fetcher.data, fetcher.state, shopify]);
-
     return (
         <s-page heading="Export Product Inventory Data">
             <s-box paddingBlockStart="large" paddingBlockEnd="large">
@@ -272,11 +227,48 @@ export default function ExportProductData() {
                             </s-option>
                         ))}
                     </s-select>
+                    <s-select
+                        label="File format"
+                        value={exportFormat}
+                        onChange={(e) => setExportFormat(e.target.value)}
+                    >
+                        {Object.entries(SPREADSHEET_FORMATS).map(([key, format]) => (
+                            <s-option key={key} value={key}>
+                                {format.label}
+                            </s-option>
+                        ))}
+                    </s-select>
+                    <s-select
+                        label="Layout"
+                        details={exportLayout === "PIVOT" ? "Only the available quantity is exported per location; the other location columns are left out." : undefined}
+                        value={exportLayout}
+                        onChange={(e) => setExportLayout(e.target.value)}
+                    >
+                        {Object.entries(EXPORT_LAYOUTS).map(([key, layout]) => (
+                            <s-option
+                                key={key}
+                                value={key}
+                                disabled={key === "SHEETS" && exportFormat !== "XLSX" ? "disabled" : undefined}
+                            >
+                                {layout.label}
+                            </s-option>
+                        ))}
+                    </s-select>
+                    <s-heading>Filters</s-heading>
+                    <s-paragraph>
+                        Only variants matching every filter are exported. Leave a filter empty to include everything.
+                    </s-paragraph>
+                    {renderFilterFields(filters, setFilters, collections)}
+                    <s-heading>Columns</s-heading>
+                    <s-paragraph>
+                        Choose the columns of the file and their order. Exports start from the columns in Settings.
+                    </s-paragraph>
+                    {columns && renderColumnPicker(columns, setColumns)}
                     <s-button
                         variant="primary"
                         onClick={handleExport}
                         loading={isLoading ? "true" : undefined}
-                        disabled={!selectedLocation || selectedLocation === "SELECT_LOCATION" ? "disabled" : undefined}
+                        disabled={!selectedLocation || selectedLocation === "SELECT_LOCATION" || !columns?.length ? "disabled" : undefined}
                         paddingBlock="large"
                     >
                         Export Product Data
@@ -284,7 +276,57 @@ export default function ExportProductData() {
                 </s-section>
             </s-box>
 
-            {isProgressVisible && (
+            {!isLoading && job?.status === "FAILED" && (
+                <s-box paddingBlockEnd="large">
+                    <s-banner tone="critical" heading="Export failed">
+                        <s-paragraph>{job.error}</s-paragraph>
+                    </s-banner>
+                </s-box>
+            )}
+
+            {history.length > 0 && (
+                <s-box paddingBlockEnd="large">
+                    <s-section heading="Exports">
+                        <s-paragraph>
+                            The last {loaderFetcher.data?.historyLimit} exports are kept and can be downloaded again.
+                        </s-paragraph>
+                        <s-table>
+                            <s-table-header-row>
+                                <s-table-header>Date</s-table-header>
+                                <s-table-header>Location</s-table-header>
+                                <s-table-header>Filters</s-table-header>
+                                <s-table-header>Rows</s-table-header>
+                                <s-table-header>File</s-table-header>
+                            </s-table-header-row>
+                            <s-table-body>
+                                {history.map((entry) => (
+                                    <s-table-row key={entry.id}>
+                                        <s-table-cell>{new Date(entry.createdAt).toLocaleString()}</s-table-cell>
+                                        <s-table-cell>{locationName(entry.locationId)}</s-table-cell>
+                                        <s-table-cell>{describeFilters(entry.filters, collections)}</s-table-cell>
+                                        <s-table-cell>{entry.status === "COMPLETED" ? entry.rowCount : "-"}</s-table-cell>
+                                        <s-table-cell>
+                                            {entry.status === "COMPLETED" && entry.fileName ? (
+                                                <s-button variant="tertiary" onClick={() => downloadExport(shopify, entry)}>
+                                                    {SPREADSHEET_FORMATS[entry.format].label}, {formatFileSize(entry.fileSize)}
+                                                </s-button>
+                                            ) : entry.status === "COMPLETED" ? (
+                                                "No products"
+                                            ) : entry.status === "FAILED" ? (
+                                                <s-badge tone="critical">Failed</s-badge>
+                                            ) : (
+                                                <s-badge>In progress</s-badge>
+                                            )}
+                                        </s-table-cell>
+                                    </s-table-row>
+                                ))}
+                            </s-table-body>
+                        </s-table>
+                    </s-section>
+                </s-box>
+            )}
+
+            {isJobActive && (
                 <div style={{
                     position: 'fixed',
                     top: '50%',
@@ -300,7 +342,11 @@ export default function ExportProductData() {
                     <div style={{ width: '100%' }}>
                         <ProgressBar progress={progress} size="small" />
                     </div>
-                    <s-text variant="bodyLg">Exporting products...</s-text>
+                    <s-text variant="bodyLg">
+                        {job.status === "PENDING" || !job.expectedObjects
+                            ? "Waiting to start..."
+                            : `Exporting ${job.totalVariants} variants... ${job.objectCount} records collected`}
+                    </s-text>
                     <s-div className="ProcessMain">
                         <s-text className="ProcessInner"></s-text>
                     </s-div>
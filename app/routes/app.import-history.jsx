@@ -0,0 +1,421 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useSearchParams } from "react-router";
+import { Pagination } from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+    getImportHistory,
+    getImportUsers,
+    getSkuChanges,
+    IMPORT_HISTORY_PAGE_SIZE,
+    IMPORT_JOB_STATUS,
+    SKU_CHANGES_SHOWN
+} from "../models/importJob.server";
+import { MATCH_KEYS, PRODUCT_FIELD_LABELS, QUANTITY_NAMES } from "../utils/importColumns";
+import { optionOf, parseId } from "../utils/formFields";
+
+// Reads the filters from the page's URL, so a filtered history can be
+// reloaded and shared. Dates are whole days in UTC; `to` includes its day.
+function readFilters(url) {
+    const params = url.searchParams;
+    const day = (name) => {
+        const value = params.get(name) || "";
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+        // A day that does not exist, such as 2026-02-30, is no filter.
+        return date && !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? date : null;
+    };
+    const to = day("to");
+    if (to) {
+        to.setUTCDate(to.getUTCDate() + 1);
+    }
+
+    return {
+        sku: params.get("sku")?.trim() || null,
+        userId: params.get("user") || null,
+        fileName: params.get("file")?.trim() || null,
+        status: optionOf(IMPORT_JOB_STATUS, params.get("status"), null),
+        from: day("from"),
+        to
+    };
+}
+
+export const loader = async ({ request }) => {
+    const { admin, session } = await authenticate.admin(request);
+
+    const url = new URL(request.url);
+    const filters = readFilters(url);
+    const page = parseId(url.searchParams.get("page")) || 1;
+
+    const response = await admin.graphql(
+        `#graphql
+        query getLocations {
+            locations(first: 250, includeLegacy: true, includeInactive: true) {
+                nodes {
+                    id
+                    name
+                }
+            }
+        }`
+    );
+    const data = await response.json();
+
+    const { jobs, total } = await getImportHistory(session.shop, filters, page);
+
+    return {
+        locations: data.data?.locations?.nodes || [],
+        users: await getImportUsers(session.shop),
+        jobs,
+        total,
+        page,
+        pageSize: IMPORT_HISTORY_PAGE_SIZE,
+        skuChanges: filters.sku ? await getSkuChanges(session.shop, filters) : null,
+        skuChangesShown: SKU_CHANGES_SHOWN
+    };
+};
+
+const FILTER_NAMES = ["sku", "user", "file", "status", "from", "to"];
+
+const STATUS_LABELS = {
+    PENDING: "Waiting",
+    RUNNING: "Running",
+    PREVIEW: "Preview",
+    COMPLETED: "Completed",
+    FAILED: "Failed",
+    CANCELLED: "Discarded"
+};
+
+const STATUS_TONES = {
+    COMPLETED: "success",
+    FAILED: "critical",
+    PREVIEW: "info"
+};
+
+// Imports made before users were recorded, and scheduled runs nobody
+// started, have no user.
+const describeUser = (job) => {
+    if (job.userName || job.userEmail) {
+        return [job.userName, job.userEmail && `(${job.userEmail})`].filter(Boolean).join(" ");
+    }
+    if (job.userId) {
+        return `Staff member ${job.userId}`;
+    }
+    return job.scheduleRun ? `Schedule "${job.scheduleRun.schedule.name}"` : "Unknown";
+};
+
+const describeMode = (job) => {
+    const mode = job.mode === "ADJUST" ? "Adjust" : "Set";
+    return job.quantityName && job.quantityName !== "available"
+        ? `${mode} ${QUANTITY_NAMES[job.quantityName].label.toLowerCase()}`
+        : mode;
+};
+
+const formatValue = (value) => Array.isArray(value) ? value.join(", ") : value ?? "-";
+
+// A journal entry in words, such as "Available: 5 → 0".
+const describeChange = ({ kind, before, after }) => {
+    const quantityLabel = (name) => QUANTITY_NAMES[name || "available"]?.label || name;
+
+    if (kind === "QUANTITY") {
+        return `${quantityLabel(after.name)}: ${before.quantity} → ${after.quantity}`;
+    }
+    if (kind === "PRICE") {
+        const compareAt = before.compareAtPrice !== after.compareAtPrice
+            ? `, compare at ${formatValue(before.compareAtPrice)} → ${formatValue(after.compareAtPrice)}`
+            : "";
+        return `Price ${formatValue(before.price)} → ${formatValue(after.price)}${compareAt}`;
+    }
+    if (kind === "ACTIVATION") {
+        return `Stocked at the location, ${quantityLabel(after.name).toLowerCase()} ${after.quantity}`;
+    }
+    if (kind === "PRODUCT") {
+        return Object.keys(after)
+            .map((field) => field === "descriptionHtml"
+                ? `${PRODUCT_FIELD_LABELS[field]} changed`
+                : `${PRODUCT_FIELD_LABELS[field] || field}: ${formatValue(before[field])} → ${formatValue(after[field])}`)
+            .join("; ");
+    }
+    if (kind === "CREATION") {
+        return `Created ${after.title}`;
+    }
+    if (kind === "TRACKING") {
+        return "Inventory tracking turned on";
+    }
+    return kind;
+};
+
+const OUTCOMES = [
+    ["updatedRows", "✅ Updated Rows"],
+    ["createdRows", "🆕 Created Rows"],
+    ["activatedRows", "📍 Activated Rows"],
+    ["conflictRows", "⚠️ Conflicts"],
+    ["failedRows", "❌ Failed Rows"],
+    ["skippedRows", "⏭️ Skipped Rows"]
+];
+
+const outcomeRowsPerPage = 25;
+
+export default function ImportHistory() {
+    const { locations, users, jobs, total, page, pageSize, skuChanges, skuChangesShown } = useLoaderData();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const jobFetcher = useFetcher();
+    const [filters, setFilters] = useState(() =>
+        Object.fromEntries(FILTER_NAMES.map((name) => [name, searchParams.get(name) || ""]))
+    );
+    const [selectedJobId, setSelectedJobId] = useState(null);
+    const [outcomePages, setOutcomePages] = useState({});
+
+    const selectedJob = jobFetcher.data?.job?.id === selectedJobId ? jobFetcher.data.job : null;
+
+    // Going back or forward in the browser changes the filters under the
+    // form.
+    useEffect(() => {
+        setFilters(Object.fromEntries(FILTER_NAMES.map((name) => [name, searchParams.get(name) || ""])));
+    }, [searchParams]);
+
+    const locationName = (id) =>
+        id === "ALL_LOCATIONS" ? "All Locations" : locations.find((location) => location.id === id)?.name || "Unknown location";
+
+    const setFilter = (name) => (e) => setFilters((current) => ({ ...current, [name]: e.target.value }));
+
+    // Only the filters and page are ours; the admin's own parameters, such as
+    // `host`, stay in the URL.
+    const applyFilters = (nextFilters) => {
+        setSearchParams((current) => {
+            const next = new URLSearchParams(current);
+            ["page", ...FILTER_NAMES].forEach((name) => next.delete(name));
+            Object.entries(nextFilters).forEach(([name, value]) => value && next.set(name, value));
+            return next;
+        });
+        setSelectedJobId(null);
+    };
+
+    const goToPage = (nextPage) => {
+        setSearchParams((current) => {
+            const next = new URLSearchParams(current);
+            next.set("page", String(nextPage));
+            return next;
+        });
+    };
+
+    const showJob = (jobId) => {
+        setSelectedJobId(jobId);
+        setOutcomePages({});
+        jobFetcher.load(`/app/import-jobs/${jobId}`);
+    };
+
+    const renderOutcomeRows = (name, heading, rows) => {
+        if (!rows?.length) {
+            return null;
+        }
+
+        const outcomePage = outcomePages[name] || 1;
+        const columns = Object.keys(rows[0]);
+
+        return (
+            <s-box key={name} paddingBlockStart="base">
+                <s-heading>{heading} ({rows.length})</s-heading>
+                <s-table>
+                    <s-table-header-row>
+                        {columns.map((key) => (
+                            <s-table-header key={key}>{key}</s-table-header>
+                        ))}
+                    </s-table-header-row>
+                    <s-table-body>
+                        {rows
+                            .slice((outcomePage - 1) * outcomeRowsPerPage, outcomePage * outcomeRowsPerPage)
+                            .map((row, index) => (
+                                <s-table-row key={index}>
+                                    {columns.map((key, cellIndex) => (
+                                        <s-table-cell key={cellIndex}>
+                                            {row[key]?.toString() || '-'}
+                                        </s-table-cell>
+                                    ))}
+                                </s-table-row>
+                            ))}
+                    </s-table-body>
+                </s-table>
+                {rows.length > outcomeRowsPerPage && (
+                    <Pagination
+                        hasPrevious={outcomePage > 1}
+                        onPrevious={() => setOutcomePages({ ...outcomePages, [name]: outcomePage - 1 })}
+                        hasNext={outcomePage < Math.ceil(rows.length / outcomeRowsPerPage)}
+                        onNext={() => setOutcomePages({ ...outcomePages, [name]: outcomePage + 1 })}
+                        type="table"
+                        label={`${((outcomePage - 1) * outcomeRowsPerPage) + 1}-${Math.min(outcomePage * outcomeRowsPerPage, rows.length)} of ${rows.length}`}
+                    />
+                )}
+            </s-box>
+        );
+    };
+
+    return (
+        <s-page heading="Import History">
+            <s-box paddingBlockStart="large">
+                <s-section heading="Filters">
+                    <s-paragraph>
+                        Every import is kept with who ran it and what happened to each row. Search for a SKU to see every change imports made to it.
+                    </s-paragraph>
+                    <s-text-field label="SKU" value={filters.sku} onChange={setFilter("sku")} />
+                    <s-select label="Imported by" value={filters.user} onChange={setFilter("user")}>
+                        <s-option value="">Anyone</s-option>
+                        {users.map((user) => (
+                            <s-option key={user.userId} value={user.userId}>
+                                {describeUser(user)}
+                            </s-option>
+                        ))}
+                    </s-select>
+                    <s-text-field label="File name contains" value={filters.file} onChange={setFilter("file")} />
+                    <s-select label="Status" value={filters.status} onChange={setFilter("status")}>
+                        <s-option value="">Any status</s-option>
+                        {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                            <s-option key={status} value={status}>
+                                {label}
+                            </s-option>
+                        ))}
+                    </s-select>
+                    <s-date-field label="From (UTC)" value={filters.from} onChange={setFilter("from")} />
+                    <s-date-field label="To (UTC)" value={filters.to} onChange={setFilter("to")} />
+                    <s-box paddingBlockStart="base">
+                        <s-stack gap="base" direction="inline">
+                            <s-button variant="primary" onClick={() => applyFilters(filters)}>
+                                Search
+                            </s-button>
+                            <s-button onClick={() => applyFilters({})}>
+                                Clear
+                            </s-button>
+                        </s-stack>
+                    </s-box>
+                </s-section>
+            </s-box>
+
+            {skuChanges && (
+                <s-box paddingBlockStart="large">
+                    <s-section heading={`Changes to SKU ${searchParams.get("sku")}`}>
+                        {skuChanges.length === 0 ? (
+                            <s-paragraph>No import changed this SKU in the chosen period.</s-paragraph>
+                        ) : (
+                            <>
+                                {skuChanges.length === skuChangesShown && (
+                                    <s-paragraph>The latest {skuChangesShown} changes are shown; narrow the dates to see older ones.</s-paragraph>
+                                )}
+                                <s-table>
+                                    <s-table-header-row>
+                                        <s-table-header>Date</s-table-header>
+                                        <s-table-header>By</s-table-header>
+                                        <s-table-header>File</s-table-header>
+                                        <s-table-header>Location</s-table-header>
+                                        <s-table-header>Change</s-table-header>
+                                    </s-table-header-row>
+                                    <s-table-body>
+                                        {skuChanges.map((change) => (
+                                            <s-table-row key={change.id}>
+                                                <s-table-cell>{new Date(change.createdAt).toLocaleString()}</s-table-cell>
+                                                <s-table-cell>{describeUser(change.job)}</s-table-cell>
+                                                <s-table-cell>
+                                                    <s-button variant="tertiary" onClick={() => showJob(change.job.id)}>
+                                                        {change.job.fileName || `Import ${change.job.id}`}
+                                                    </s-button>
+                                                </s-table-cell>
+                                                <s-table-cell>{change.locationId ? locationName(change.locationId) : "-"}</s-table-cell>
+                                                <s-table-cell>
+                                                    {describeChange(change)}
+                                                    {change.revertedAt && ` (undone ${new Date(change.revertedAt).toLocaleString()})`}
+                                                </s-table-cell>
+                                            </s-table-row>
+                                        ))}
+                                    </s-table-body>
+                                </s-table>
+                            </>
+                        )}
+                    </s-section>
+                </s-box>
+            )}
+
+            <s-box paddingBlockStart="large" paddingBlockEnd="large">
+                <s-section heading={`Imports (${total})`}>
+                    {jobs.length === 0 ? (
+                        <s-paragraph>No imports match these filters.</s-paragraph>
+                    ) : (
+                        <>
+                            <s-table>
+                                <s-table-header-row>
+                                    <s-table-header>Date</s-table-header>
+                                    <s-table-header>By</s-table-header>
+                                    <s-table-header>File</s-table-header>
+                                    <s-table-header>Location</s-table-header>
+                                    <s-table-header>Mode</s-table-header>
+                                    <s-table-header>Rows</s-table-header>
+                                    <s-table-header>Status</s-table-header>
+                                </s-table-header-row>
+                                <s-table-body>
+                                    {jobs.map((job) => (
+                                        <s-table-row key={job.id}>
+                                            <s-table-cell>{new Date(job.createdAt).toLocaleString()}</s-table-cell>
+                                            <s-table-cell>{describeUser(job)}</s-table-cell>
+                                            <s-table-cell>
+                                                <s-button variant="tertiary" onClick={() => showJob(job.id)}>
+                                                    {job.fileName || `Import ${job.id}`}
+                                                </s-button>
+                                            </s-table-cell>
+                                            <s-table-cell>{locationName(job.locationId)}</s-table-cell>
+                                            <s-table-cell>{describeMode(job)}</s-table-cell>
+                                            <s-table-cell>
+                                                {job.totalRows} rows: {job.updatedRows} updated, {job.skippedRows} skipped, {job.conflictRows} conflicts, {job.failedRows} failed
+                                            </s-table-cell>
+                                            <s-table-cell>
+                                                <s-badge tone={STATUS_TONES[job.status]}>{STATUS_LABELS[job.status] || job.status}</s-badge>
+                                                {job.rollbackStatus === "COMPLETED" && <s-badge>Undone</s-badge>}
+                                            </s-table-cell>
+                                        </s-table-row>
+                                    ))}
+                                </s-table-body>
+                            </s-table>
+                            {total > pageSize && (
+                                <Pagination
+                                    hasPrevious={page > 1}
+                                    onPrevious={() => goToPage(page - 1)}
+                                    hasNext={page < Math.ceil(total / pageSize)}
+                                    onNext={() => goToPage(page + 1)}
+                                    type="table"
+                                    label={`${((page - 1) * pageSize) + 1}-${Math.min(page * pageSize, total)} of ${total}`}
+                                />
+                            )}
+                        </>
+                    )}
+                </s-section>
+            </s-box>
+
+            {selectedJobId && (
+                <s-box paddingBlockEnd="large">
+                    <s-section heading={`Import ${selectedJobId}`}>
+                        {!selectedJob ? (
+                            <s-paragraph>Loading...</s-paragraph>
+                        ) : (
+                            <>
+                                <s-stack gap="200" direction="block">
+                                    <s-text as="p">
+                                        {selectedJob.fileName || "No file name"}, imported {new Date(selectedJob.createdAt).toLocaleString()} by {describeUser(selectedJob)}
+                                    </s-text>
+                                    <s-text as="p">
+                                        {describeMode(selectedJob)} at {locationName(selectedJob.locationId)}, matched by {MATCH_KEYS[selectedJob.matchKey]?.label || selectedJob.matchKey}
+                                    </s-text>
+                                    {selectedJob.rolledBackAt && (
+                                        <s-text as="p">
+                                            Undone {new Date(selectedJob.rolledBackAt).toLocaleString()}
+                                            {selectedJob.rollbackUser && ` by ${describeUser(selectedJob.rollbackUser)}`}
+                                        </s-text>
+                                    )}
+                                    {selectedJob.error && <s-text as="p" tone="critical">{selectedJob.error}</s-text>}
+                                </s-stack>
+                                {!selectedJob.results ? (
+                                    <s-paragraph>This import has no row outcomes yet.</s-paragraph>
+                                ) : (
+                                    OUTCOMES.map(([name, heading]) => renderOutcomeRows(name, heading, selectedJob.results[name]))
+                                )}
+                            </>
+                        )}
+                    </s-section>
+                </s-box>
+            )}
+        </s-page>
+    );
+}
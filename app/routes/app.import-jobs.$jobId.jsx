@@ -0,0 +1,15 @@
+import { authenticate } from "../shopify.server";
+import { getImportJob } from "../models/importJob.server";
+import { parseId } from "../utils/formFields";
+
+export const loader = async ({ request, params }) => {
+    const { session } = await authenticate.admin(request);
+
+    const jobId = parseId(params.jobId);
+    const job = jobId ? await getImportJob(session.shop, jobId) : null;
+    if (!job) {
+        throw new Response("Import job not found", { status: 404 });
+    }
+
+    return { job };
+};
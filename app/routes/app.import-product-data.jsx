@@ -1,12 +1,53 @@
 import { useState, useEffect, useRef } from "react";
 import { useFetcher } from "react-router";
 import { authenticate } from "../shopify.server";
-import ExcelJS from "exceljs";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { Pagination, ProgressBar } from "@shopify/polaris";
+import {
+    cancelImportJob,
+    confirmImportJob,
+    createImportJob,
+    getImportJob,
+    getLatestImportJob,
+    requestImportRollback
+} from "../models/importJob.server";
+import { getColumnMappings, saveColumnMapping } from "../models/columnMapping.server";
+import { getShopSettings } from "../models/shopSettings.server";
+import { wakeImportWorker } from "../services/importWorker.server";
+import { staffUserOf } from "../services/staffUser.server";
+import { CONFLICT_POLICIES, IMPORT_MODES } from "../services/inventoryImport.server";
+import { TAGS_MODES } from "../services/productImport.server";
+import {
+    downloadBlob,
+    readSpreadsheet,
+    SPREADSHEET_ACCEPT,
+    SPREADSHEET_FORMATS,
+    spreadsheetFormatOf,
+    writeSpreadsheet
+} from "../utils/spreadsheet";
+import {
+    checkColumnMapping,
+    cleanColumnMapping,
+    guessColumnMapping,
+    hasPivotColumns,
+    headerSignature,
+    IMPORT_FIELDS,
+    isExportedQuantityHeader,
+    mapColumns,
+    MATCH_KEYS,
+    pivotExportedHeader,
+    pivotLocationOf,
+    PRODUCT_FIELD_LABELS,
+    QUANTITY_NAMES,
+    quantityNameOf,
+    reportedRowsSheet
+} from "../utils/importColumns";
+import { readImportOptions } from "../utils/importOptions";
+import { isRecord, optionOf, parseId, readJsonField } from "../utils/formFields";
+import { renderImportOptionFields } from "../components/importOptions";
 
 export const loader = async ({ request }) => {
-    const { admin } = await authenticate.admin(request);
+    const { admin, session } = await authenticate.admin(request);
 
 
     const response = await admin.graphql(
@@ -31,385 +72,549 @@ export const loader = async ({ request }) => {
         isActive: edge.node.isActive
     })) || [];
 
-    return { locations };
+    const job = await getLatestImportJob(session.shop);
+    const columnMappings = await getColumnMappings(session.shop);
+    const settings = await getShopSettings(session.shop);
+
+    return { locations, job, columnMappings, settings };
 };
 
 export const action = async ({ request }) => {
-    const { admin } = await authenticate.admin(request);
+    const { admin, session, sessionToken } = await authenticate.admin(request);
 
     const formData = await request.formData();
-    const dataString = formData.get("data");
-    const locationId = formData.get("locationId");
-    const rows = JSON.parse(dataString);
-
-    const results = {
-        total: rows.length,
-        updated: 0,
-        errors: [],
-        failedRows: [],
-        skippedRows: []
-    };
+    const intent = formData.get("intent");
 
+    const jobId = parseId(formData.get("jobId"));
+    if (["confirm", "cancel", "undo"].includes(String(intent)) && !jobId) {
+        return { success: false, error: "This import could not be found" };
+    }
 
-    const isAllLocationsMode = locationId === "ALL_LOCATIONS";
+    if (intent === "confirm" || intent === "cancel") {
+        const changed = intent === "confirm"
+            ? await confirmImportJob(session.shop, jobId)
+            : await cancelImportJob(session.shop, jobId);
 
+        if (!changed) {
+            return { success: false, error: "This preview has already been applied or discarded" };
+        }
+        if (intent === "confirm") {
+            wakeImportWorker();
+        }
 
-    let allLocations = [];
-    if (isAllLocationsMode) {
-        const locationsQuery = await admin.graphql(
-            `#graphql
-            query getLocations {
-                locations(first: 250, includeLegacy: true, includeInactive: true) {
-                    edges {
-                        node {
-                            id
-                            name
-                        }
-                    }
-                }
-            }`
-        );
-        const locationsResult = await locationsQuery.json();
-        allLocations = locationsResult.data?.locations?.edges.map(edge => ({
-            id: edge.node.id,
-            name: edge.node.name
-        })) || [];
+        return { success: true, job: await getImportJob(session.shop, jobId) };
     }
 
+    if (intent === "undo") {
+        const user = await staffUserOf({ admin, session, sessionToken });
+        if (!(await requestImportRollback(session.shop, jobId, user))) {
+            return { success: false, error: "This import has already been undone or changed nothing" };
+        }
+        wakeImportWorker();
 
-    let selectedLocationName = null;
-    if (!isAllLocationsMode) {
-        const locationQuery = await admin.graphql(
-            `#graphql
-            query getLocation($id: ID!) {
-                location(id: $id) {
-                    name
-                }
-            }`,
-            { variables: { id: locationId } }
-        );
-        const locationResult = await locationQuery.json();
-        selectedLocationName = locationResult.data?.location?.name;
+        return { success: true, job: await getImportJob(session.shop, jobId) };
     }
 
+    const locationId = formData.get("locationId");
+    const fileName = formData.get("fileName");
 
-    const processedCombinations = new Set();
-
-
-    for (const row of rows) {
-        try {
-
-            if (!row["SKU"] || row["SKU"] === "SKU") {
-                continue;
-            }
-
-            const sku = row["SKU"];
-            const quantityRaw = row["Quantity Available"];
-
-
-            const quantity = parseInt(quantityRaw);
-            if (isNaN(quantity) || quantity === null || quantity === undefined) {
-                results.errors.push(`Skipped SKU ${sku}: Invalid or missing quantity value`);
-                results.failedRows.push({ ...row, "Error Reason": 'Invalid or missing quantity value' });
-                continue;
-            }
-
-            const sheetLocationRaw = row["Inventory Location"];
-            const sheetLocation = sheetLocationRaw ? String(sheetLocationRaw).trim() : "";
-
-            let targetLocationId = locationId;
-            let targetLocationName = selectedLocationName;
-
-            if (isAllLocationsMode) {
-                if (!sheetLocation) {
-                    results.errors.push(`Skipped SKU ${sku}: Inventory Location is required when "All Locations" is selected`);
-                    results.failedRows.push({ ...row, "Error Reason": 'Inventory Location is required for All Locations mode' });
-                    continue;
-                }
-
-                const foundLocation = allLocations.find(loc => loc.name.toLowerCase() === sheetLocation.toLowerCase());
-                if (!foundLocation) {
-                    results.errors.push(`Skipped SKU ${sku}: Location '${sheetLocation}' not found in store`);
-                    results.failedRows.push({ ...row, "Error Reason": `Location '${sheetLocation}' not found in store` });
-                    continue;
-                }
-
-                targetLocationId = foundLocation.id;
-                targetLocationName = foundLocation.name;
-            } else {
-                if (sheetLocation) {
-                    if (sheetLocation.toLowerCase() !== selectedLocationName.toLowerCase()) {
-                        results.errors.push(`Skipped SKU ${sku}: Location in sheet '${sheetLocation}' does not match selected location '${selectedLocationName}'`);
-                        results.failedRows.push({ ...row, "Error Reason": `Location mismatch: '${sheetLocation}' ≠ '${selectedLocationName}'` });
-                        continue;
-                    }
-                }
-            }
-
-
-            const combinationKey = `${sku}|${targetLocationName}`;
-            if (processedCombinations.has(combinationKey)) {
-                results.errors.push(`Skipped SKU ${sku}: You have identical row having same SKU and location`);
-                results.failedRows.push({ ...row, "Error Reason": 'You have identical row having same SKU and location' });
-                continue;
-            }
-            processedCombinations.add(combinationKey);
-
-
-            const variantQuery = await admin.graphql(
-                `#graphql
-                query findVariantBySKU($query: String!) {
-                    productVariants(first: 1, query: $query) {
-                        edges {
-                            node {
-                                id
-                                sku
-                                inventoryItem {
-                                    id
-                                    inventoryLevels(first: 50) {
-                                        edges {
-                                            node {
-                                                location {
-                                                    id
-                                                }
-                                                quantities(names: ["available"]) {
-                                                    quantity
-                                                    name
-                                                }
-                                            }
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }`,
-                {
-                    variables: {
-                        query: `sku:${sku}`
-                    }
-                }
-            );
-
-            const variantResult = await variantQuery.json();
-            const variant = variantResult.data?.productVariants?.edges[0]?.node;
-
-            if (!variant) {
-                results.errors.push(`Variant not found for SKU: ${sku}`);
-                results.failedRows.push({ ...row, "Error Reason": 'Variant not found' });
-                continue;
-            }
-
-
-            let currentQuantity = 0;
-            let locationFound = false;
-            const inventoryLevels = variant.inventoryItem.inventoryLevels?.edges || [];
-            for (const level of inventoryLevels) {
-                if (level.node.location.id === targetLocationId) {
-                    const availableQty = level.node.quantities.find(q => q.name === "available");
-                    currentQuantity = availableQty?.quantity || 0;
-                    locationFound = true;
-                    break;
-                }
-            }
-
-
-            if (!locationFound) {
-                results.errors.push(`Skipped SKU ${sku}: SKU don't have this location`);
-                results.failedRows.push({ ...row, "Error Reason": `SKU don't have this location` });
-                continue;
-            }
-
-
-            if (currentQuantity === quantity) {
-                results.skippedRows.push({ ...row, "Reason": 'Quantity already matches' });
-                continue;
-            }
-
+    if (!locationId || locationId === "SELECT_LOCATION") {
+        return { success: false, error: "Please select a location first" };
+    }
 
-            const updateMutation = await admin.graphql(
-                `#graphql
-                mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
-                    inventorySetQuantities(input: $input) {
-                        inventoryAdjustmentGroup {
-                            id
-                        }
-                        userErrors {
-                            field
-                            message
-                        }
-                    }
-                }`,
-                {
-                    variables: {
-                        input: {
-                            reason: "correction",
-                            name: "available",
-                            ignoreCompareQuantity: true,
-                            quantities: [
-                                {
-                                    inventoryItemId: variant.inventoryItem.id,
-                                    locationId: targetLocationId,
-                                    quantity: quantity
-                                }
-                            ]
-                        }
-                    }
-                }
-            );
+    const rows = readJsonField(formData, "data", null);
+    const sentHeaders = readJsonField(formData, "headers", []);
+    const sentMapping = readJsonField(formData, "columnMapping", {});
+    if (!Array.isArray(rows) || !rows.every(isRecord) || !Array.isArray(sentHeaders) || !isRecord(sentMapping)) {
+        return { success: false, error: "The file could not be read, please choose it again" };
+    }
+    const headers = sentHeaders.map(String);
+    const columnMapping = cleanColumnMapping(sentMapping, headers);
+
+    const matchKey = optionOf(MATCH_KEYS, formData.get("matchKey"), "SKU");
+    const quantityName = quantityNameOf(formData.get("quantityName")) || "available";
+    const mappingError = checkColumnMapping(columnMapping, {
+        isAllLocationsMode: locationId === "ALL_LOCATIONS",
+        matchKey,
+        isPivot: hasPivotColumns(headers),
+    });
+    if (mappingError) {
+        return { success: false, error: mappingError };
+    }
+    await saveColumnMapping(session.shop, headerSignature(headers), columnMapping);
+
+    const job = await createImportJob({
+        shop: session.shop,
+        fileName: fileName ? String(fileName) : null,
+        locationId: String(locationId),
+        mode: formData.get("mode") === IMPORT_MODES.ADJUST ? IMPORT_MODES.ADJUST : IMPORT_MODES.SET,
+        conflictPolicy: optionOf(CONFLICT_POLICIES, formData.get("conflictPolicy"), CONFLICT_POLICIES.SKIP),
+        matchKey,
+        quantityName,
+        activateMissing: formData.get("activateMissing") === "true",
+        tagsMode: optionOf(TAGS_MODES, formData.get("tagsMode"), TAGS_MODES.REPLACE),
+        createMissing: formData.get("createMissing") === "true",
+        ...readImportOptions(formData, await getShopSettings(session.shop)),
+        columnMapping,
+        headers,
+        rows,
+        preview: formData.get("preview") === "true",
+        user: await staffUserOf({ admin, session, sessionToken })
+    });
+    wakeImportWorker();
+
+    return { success: true, job };
+};
 
-            const updateResult = await updateMutation.json();
+// The template is built on the server with the shop's locations; App Bridge
+// adds the session token to this fetch, which a plain link would not carry.
+const downloadTemplate = (shopify) => {
+    fetch("/app/import-template").then(response => {
+        if (!response.ok) {
+            throw new Error(`Download failed (${response.status})`);
+        }
+        return response.blob();
+    }).then(blob => {
+        downloadBlob(blob, "inventory_import_template.xlsx");
+    }).catch(err => {
+        console.error(err);
+        shopify.toast.show("The template could not be downloaded");
+    });
+};
 
-            if (updateResult.data?.inventorySetQuantities?.userErrors?.length > 0) {
-                const errorMsg = updateResult.data.inventorySetQuantities.userErrors[0].message;
-                results.errors.push(`Error updating SKU ${sku}: ${errorMsg}`);
-                results.failedRows.push({ ...row, "Error Reason": errorMsg });
-            } else {
-                results.updated++;
-            }
+// Changes to a quantity other than available say which one.
+const changeStatus = (item) => {
+    const status = item.delta === undefined ? "Update" : "Adjust";
+    return item.quantityName && item.quantityName !== "available"
+        ? `${status} ${QUANTITY_NAMES[item.quantityName].label.toLowerCase()}`
+        : status;
+};
 
-        } catch (error) {
-            results.errors.push(`Error processing SKU ${row["SKU"]}: ${error.message}`);
-            results.failedRows.push({ ...row, "Error Reason": error.message });
-        }
+const formatPrices = (price, compareAtPrice) =>
+    compareAtPrice ? `${price} (compare at ${compareAtPrice})` : String(price);
+
+// Descriptions are HTML and too long for a table cell; the preview only says
+// that they change.
+const formatProductFields = (fields) =>
+    Object.entries(fields)
+        .map(([field, value]) => field === "descriptionHtml"
+            ? `${PRODUCT_FIELD_LABELS[field]} changes`
+            : `${PRODUCT_FIELD_LABELS[field]}: ${Array.isArray(value) ? value.join(", ") : value || "-"}`)
+        .join("; ");
+
+// Failed or skipped rows in the layout and format of the uploaded file, to be
+// fixed and uploaded again.
+const downloadReportedRows = async (shopify, job, rows, reasonColumn, suffix) => {
+    try {
+        const format = spreadsheetFormatOf(job.fileName);
+        const sheet = reportedRowsSheet(rows, job.headers, reasonColumn);
+        const blob = await writeSpreadsheet(sheet.rows, format, {
+            columns: sheet.columns,
+            hiddenColumns: sheet.columns.filter(isExportedQuantityHeader)
+        });
+        const baseName = (job.fileName || "inventory_import").replace(/\.[^.]+$/, "");
+        downloadBlob(blob, `${baseName}_${suffix}.${SPREADSHEET_FORMATS[format].extension}`);
+    } catch (err) {
+        console.error(err);
+        shopify.toast.show("The rows could not be downloaded");
     }
-
-    return { success: true, results };
 };
 
 export default function ImportProductData() {
     const shopify = useAppBridge();
     const fetcher = useFetcher();
     const loaderFetcher = useFetcher();
-    const [file, setFile] = useState(null);
-    const [parsedData, setParsedData] = useState(null);
+    const jobFetcher = useFetcher();
+    const [job, setJob] = useState(null);
     const [selectedLocation, setSelectedLocation] = useState("SELECT_LOCATION");
-    const [progress, setProgress] = useState(0);
-    const [isProgressVisible, setIsProgressVisible] = useState(false);
+    const [importMode, setImportMode] = useState("SET");
+    const [conflictPolicy, setConflictPolicy] = useState("SKIP");
+    const [matchKey, setMatchKey] = useState("SKU");
+    const [quantityName, setQuantityName] = useState("available");
+    const [previewFirst, setPreviewFirst] = useState(true);
+    const [activateMissing, setActivateMissing] = useState(false);
+    const [tagsMode, setTagsMode] = useState("REPLACE");
+    const [createMissing, setCreateMissing] = useState(false);
+    const [importOptions, setImportOptions] = useState({
+        duplicateRows: "ERROR",
+        blankQuantity: "SKIP",
+        adjustmentReason: "correction"
+    });
+    const [sheet, setSheet] = useState(null);
+    const [headerFields, setHeaderFields] = useState({});
+    const [isSavedMapping, setIsSavedMapping] = useState(false);
+    const [savedMappings, setSavedMappings] = useState([]);
     const fileInputRef = useRef(null);
+    const wasJobActiveRef = useRef(false);
+    const wasRollbackActiveRef = useRef(false);
+    const settingsAppliedRef = useRef(false);
+
 
 
-    const [failedPage, setFailedPage] = useState(1);
-    const failedRowsPerPage = 10;
 
 
-    const [skippedPage, setSkippedPage] = useState(1);
-    const skippedRowsPerPage = 10;
+    const [previewPage, setPreviewPage] = useState(1);
+    const previewRowsPerPage = 10;
 
-    const isLoading = fetcher.state === "submitting" || fetcher.state === "loading";
+
+    const [resultPages, setResultPages] = useState({});
+    const resultRowsPerPage = 10;
+
+    const isSubmitting = fetcher.state === "submitting" || fetcher.state === "loading";
+    const isJobActive = job?.status === "PENDING" || job?.status === "RUNNING";
+    const isRollbackActive = job?.rollbackStatus === "PENDING" || job?.rollbackStatus === "RUNNING";
+    const isLoading = isSubmitting || isJobActive;
     const locations = loaderFetcher.data?.locations || [];
+    const results = job?.status === "COMPLETED" ? job.results : null;
+    const rollbackResults = job?.rollbackResults;
+    const canUndo = Boolean(results) && !job.rollbackStatus && (results.updated > 0 || results.pricesUpdated > 0 || results.activated > 0 || results.productsUpdated > 0 || results.created > 0);
+    const isApplying = Boolean(job?.plannedAt);
+    const progress = isApplying
+        ? (job.totalChanges ? (job.appliedChanges / job.totalChanges) * 100 : 100)
+        : (job?.totalRows ? (job.processedRows / job.totalRows) * 100 : 0);
+
+    // Reported rows keep the file's own headers.
+    const previewFieldsOf = (row) => {
+        const fields = mapColumns(row, job.columnMapping);
+        return {
+            sku: fields["SKU"] ?? fields[MATCH_KEYS[job.matchKey]?.field],
+            location: fields["Inventory Location"],
+            quantity: fields["Quantity Available"] ?? fields["Adjustment"]
+        };
+    };
+
+    const previewRows = job?.status === "PREVIEW" ? [
+        ...(job.plan.creations || []).flatMap((product) => product.variants.flatMap((variant) => {
+            const status = `Create in ${product.title}${variant.optionValues.length ? ` (${variant.optionValues.join(" / ")})` : ""}`;
+            return variant.quantities.length
+                ? variant.quantities.map((level) => ({ status, sku: variant.sku, location: level.locationName, quantity: level.quantity }))
+                : [{ status, sku: variant.sku }];
+        })),
+        ...(job.plan.activations || []).map((item) => ({
+            status: item.tracked ? "Activate at location" : "Activate at location and track",
+            sku: item.sku,
+            location: item.locationName,
+            quantity: item.quantity
+        })),
+        ...job.plan.changes.map((item) => ({
+            status: item.conflict
+                ? `Conflict: ${item.conflict === "DELTA" ? "apply delta" : "overwrite"}`
+                : changeStatus(item),
+            sku: item.sku,
+            location: item.locationName,
+            current: item.currentQuantity,
+            quantity: item.quantity,
+            change: item.quantity - item.currentQuantity
+        })),
+        ...job.plan.priceChanges.map((item) => ({
+            status: "Update price",
+            sku: item.sku,
+            current: formatPrices(item.currentPrice, item.currentCompareAtPrice),
+            quantity: formatPrices(item.price, item.compareAtPrice)
+        })),
+        ...(job.plan.productChanges || []).map((item) => ({
+            status: "Update product",
+            sku: item.sku,
+            current: formatProductFields(item.current),
+            quantity: formatProductFields(item.fields)
+        })),
+        ...job.plan.unchanged.map((item) => ({
+            status: "No change",
+            sku: item.sku,
+            location: item.locationName,
+            current: item.currentQuantity,
+            quantity: item.quantity,
+            change: item.quantity === null ? undefined : 0
+        })),
+        ...job.results.conflictRows.map((row) => ({
+            status: `Conflict: skip (${row["Conflict"]})`,
+            ...previewFieldsOf(row)
+        })),
+        ...job.results.failedRows.map((row) => ({
+            status: row["Error Reason"],
+            ...previewFieldsOf(row)
+        }))
+    ] : [];
 
     useEffect(() => {
 
         loaderFetcher.load("/app/import-product-data");
     }, []);
 
-    useEffect(() => {
-        if (isLoading) {
-            setIsProgressVisible(true);
-            setProgress(0);
-
-            const rowCount = parsedData ? parsedData.length : 0;
-
-            const estimatedTimeMs = Math.max(rowCount * 500, 2000);
-            const intervalMs = 100;
-
 
-            const totalSteps = estimatedTimeMs / intervalMs;
-            const linearIncrement = 90 / totalSteps;
+    // The latest job comes with the page data, so an import that is still
+    // running keeps reporting progress after a reload.
+    useEffect(() => {
+        if (loaderFetcher.data?.job) {
+            setJob(loaderFetcher.data.job);
+        }
+        if (loaderFetcher.data?.columnMappings) {
+            setSavedMappings(loaderFetcher.data.columnMappings);
+        }
+        // The page starts from the shop's settings; the data is loaded again
+        // after each submit, which must not undo the user's choices.
+        const settings = loaderFetcher.data?.settings;
+        if (settings && !settingsAppliedRef.current) {
+            settingsAppliedRef.current = true;
+            setMatchKey(settings.matchKey);
+            setImportOptions({
+                duplicateRows: settings.duplicateRows,
+                blankQuantity: settings.blankQuantity,
+                adjustmentReason: settings.adjustmentReason
+            });
+            if (settings.defaultLocationId === "ALL_LOCATIONS" || loaderFetcher.data.locations.some(location => location.id === settings.defaultLocationId)) {
+                setSelectedLocation(settings.defaultLocationId);
+            }
+        }
+    }, [loaderFetcher.data]);
 
-            const interval = setInterval(() => {
-                setProgress((prev) => {
-                    if (prev < 90) {
+    useEffect(() => {
+        if (fetcher.data?.job) {
+            setJob(fetcher.data.job);
+        } else if (fetcher.data?.error) {
+            shopify.toast.show(fetcher.data.error);
+        }
+    }, [fetcher.data, shopify]);
 
-                        return Math.min(prev + linearIncrement, 90);
-                    } else {
+    useEffect(() => {
+        if (jobFetcher.data?.job) {
+            setJob(jobFetcher.data.job);
+        }
+    }, [jobFetcher.data]);
 
-                        const target = 99;
-                        const remaining = target - prev;
+    useEffect(() => {
+        if ((!isJobActive && !isRollbackActive) || jobFetcher.state !== "idle") {
+            return;
+        }
 
-                        return prev + Math.max(remaining * 0.01, 0.01);
-                    }
-                });
-            }, intervalMs);
-            return () => clearInterval(interval);
-        } else if (isProgressVisible && !isLoading) {
+        const timeout = setTimeout(() => {
+            jobFetcher.load(`/app/import-jobs/${job.id}`);
+        }, 1000);
+        return () => clearTimeout(timeout);
+    }, [isJobActive, isRollbackActive, job, jobFetcher.state]);
 
-            setProgress(100);
+    useEffect(() => {
+        if (isJobActive) {
+            wasJobActiveRef.current = true;
+            return;
         }
-    }, [isLoading, isProgressVisible, parsedData]);
-
+        if (!wasJobActiveRef.current) {
+            return;
+        }
+        wasJobActiveRef.current = false;
+
+        if (job?.status === "PREVIEW") {
+            shopify.toast.show(`Preview ready: ${job.totalChanges} changes to review`);
+        } else if (job?.status === "COMPLETED") {
+            shopify.toast.show(`Import complete: ${job.updatedRows} updated, ${job.results?.errors.length || 0} errors`);
+        } else if (job?.status === "FAILED") {
+            shopify.toast.show(`Import failed: ${job.error}`);
+        }
+    }, [isJobActive, job, shopify]);
 
     useEffect(() => {
-        if (!isLoading && fetcher.data?.results && isProgressVisible) {
+        if (isRollbackActive) {
+            wasRollbackActiveRef.current = true;
+            return;
+        }
+        if (!wasRollbackActiveRef.current) {
+            return;
+        }
+        wasRollbackActiveRef.current = false;
 
-            const timeout = setTimeout(() => {
-                setIsProgressVisible(false);
-            }, 300);
-            return () => clearTimeout(timeout);
+        if (job?.rollbackStatus === "COMPLETED") {
+            shopify.toast.show(`Import undone: ${job.rollbackResults.reverted} changes reverted, ${job.rollbackResults.failedRows.length} could not be reverted`);
+        } else if (job?.rollbackStatus === "FAILED") {
+            shopify.toast.show(`Undo failed: ${job.rollbackResults?.error}`);
         }
-    }, [isLoading, fetcher.data?.results, isProgressVisible]);
+    }, [isRollbackActive, job, shopify]);
 
     const handleFileChange = (e) => {
         const selectedFile = e.target.files[0];
         if (selectedFile) {
-            setFile(selectedFile);
-            setFailedPage(1);
-            setSkippedPage(1);
+            setPreviewPage(1);
+            setResultPages({});
 
 
             const reader = new FileReader();
             reader.onload = async (event) => {
-                const buffer = event.target.result;
-                const workbook = new ExcelJS.Workbook();
-                await workbook.xlsx.load(buffer);
-
-                const worksheet = workbook.worksheets[0];
-                const jsonData = [];
-
-
-                const headers = [];
-                worksheet.getRow(1).eachCell((cell, colNumber) => {
-                    headers[colNumber] = cell.value;
-                });
-
-
-                worksheet.eachRow((row, rowNumber) => {
-                    if (rowNumber > 1) {
-                        const rowData = {};
-                        row.eachCell((cell, colNumber) => {
-                            if (headers[colNumber]) {
-                                rowData[headers[colNumber]] = cell.value;
-                            }
-                        });
-                        if (rowData["SKU"] && String(rowData["SKU"]).trim() !== "") {
-                            jsonData.push(rowData);
-                        }
-                    }
-                });
-
-                setParsedData(jsonData);
-
+                if (fileInputRef.current) {
+                    fileInputRef.current.value = "";
+                }
 
-                if (!selectedLocation) {
-                    shopify.toast.show("Please select a location first");
+                let parsed;
+                try {
+                    parsed = await readSpreadsheet(selectedFile.name, event.target.result);
+                } catch (error) {
+                    shopify.toast.show(error.message, { isError: true });
+                    return;
+                }
+                if (parsed.rows.length === 0) {
+                    shopify.toast.show("The file has no rows to import", { isError: true });
                     return;
                 }
 
+                // A file with the same headers as an earlier one gets that
+                // file's mapping; anything else starts from the header names.
+                const saved = savedMappings.find((mapping) => mapping.signature === headerSignature(parsed.headers));
+                const columnMapping = saved
+                    ? cleanColumnMapping(saved.mapping, parsed.headers)
+                    : guessColumnMapping(parsed.headers);
 
-                shopify.toast.show(`File loaded: ${jsonData.length} rows. Starting import...`);
-                fetcher.submit(
-                    {
-                        data: JSON.stringify(jsonData),
-                        locationId: selectedLocation
-                    },
-                    { method: "POST" }
-                );
+                setHeaderFields(Object.fromEntries(Object.entries(columnMapping).map(([key, header]) => [header, key])));
+                setIsSavedMapping(Boolean(saved));
+                setSheet({ fileName: selectedFile.name, ...parsed });
             };
             reader.readAsArrayBuffer(selectedFile);
         }
     };
 
+    // Rows of one outcome in their sheet layout, 10 per page.
+    // `download` adds a button for the rows as a file: `{ label, reasonColumn,
+    // suffix }`.
+    const renderResultRows = (name, heading, rows, download) => {
+        if (!rows?.length) {
+            return null;
+        }
+
+        const page = resultPages[name] || 1;
+        const setPage = (nextPage) => setResultPages({ ...resultPages, [name]: nextPage });
+        const columns = Object.keys(rows[0]);
+
+        return (
+            <s-box paddingBlockStart="large" paddingBlockEnd="large">
+                <s-section heading={`${heading} (${rows.length})`}>
+                    {download && (
+                        <s-box paddingBlockEnd="base">
+                            <s-button
+                                icon="download"
+                                onClick={() => downloadReportedRows(shopify, job, rows, download.reasonColumn, download.suffix)}
+                            >
+                                {download.label}
+                            </s-button>
+                        </s-box>
+                    )}
+                    <s-table>
+                        <s-table-header-row>
+                            {columns.map((key) => (
+                                <s-table-header key={key}>{key}</s-table-header>
+                            ))}
+                        </s-table-header-row>
+                        <s-table-body>
+                            {rows
+                                .slice((page - 1) * resultRowsPerPage, page * resultRowsPerPage)
+                                .map((row, index) => (
+                                    <s-table-row key={index}>
+                                        {columns.map((key, cellIndex) => (
+                                            <s-table-cell key={cellIndex}>
+                                                {row[key]?.toString() || '-'}
+                                            </s-table-cell>
+                                        ))}
+                                    </s-table-row>
+                                ))}
+                        </s-table-body>
+                    </s-table>
+                    {rows.length > resultRowsPerPage && (
+                        <Pagination
+                            hasPrevious={page > 1}
+                            onPrevious={() => setPage(page - 1)}
+                            hasNext={page < Math.ceil(rows.length / resultRowsPerPage)}
+                            onNext={() => setPage(page + 1)}
+                            type="table"
+                            label={`${((page - 1) * resultRowsPerPage) + 1}-${Math.min(page * resultRowsPerPage, rows.length)} of ${rows.length}`}
+                        />
+                    )}
+                </s-section>
+            </s-box>
+        );
+    };
+
+    // A field can only come from one column, so picking it for a column
+    // takes it away from any other.
+    const handleFieldChange = (header, key) => {
+        const next = {};
+        for (const [otherHeader, otherKey] of Object.entries(headerFields)) {
+            if (otherKey && otherKey !== key) {
+                next[otherHeader] = otherKey;
+            }
+        }
+        if (key) {
+            next[header] = key;
+        }
+        setHeaderFields(next);
+    };
+
+    const sampleValuesOf = (header) =>
+        sheet.rows
+            .map((row) => row[header])
+            .filter((value) => value !== undefined && value !== null && String(value).trim() !== "")
+            .slice(0, 3)
+            .map(String)
+            .join(", ");
+
+    // Quantity columns of a pivot file are always read by their location.
+    const renderPivotField = (header) => {
+        const location = pivotLocationOf(header);
+        if (location) {
+            return <s-text>Quantity at {location}</s-text>;
+        }
+        const exportedOf = sheet.headers.map(pivotLocationOf).find(name => name && pivotExportedHeader(name).toLowerCase() === header.trim().toLowerCase());
+        return exportedOf ? <s-text>Exported quantity at {exportedOf}</s-text> : null;
+    };
+
+    const handleStartImport = () => {
+        const columnMapping = Object.fromEntries(
+            Object.entries(headerFields).map(([header, key]) => [key, header])
+        );
+        const mappingError = checkColumnMapping(columnMapping, {
+            isAllLocationsMode: selectedLocation === "ALL_LOCATIONS",
+            matchKey,
+            isPivot: hasPivotColumns(sheet.headers),
+        });
+        if (mappingError) {
+            shopify.toast.show(mappingError, { isError: true });
+            return;
+        }
+
+        // Rows without a match key are sent along so they show up as failed
+        // rows instead of silently going missing.
+        shopify.toast.show(`File loaded: ${sheet.rows.length} rows. ${previewFirst ? "Preparing preview..." : "Starting import..."}`);
+        fetcher.submit(
+            {
+                data: JSON.stringify(sheet.rows),
+                headers: JSON.stringify(sheet.headers),
+                columnMapping: JSON.stringify(columnMapping),
+                locationId: selectedLocation,
+                fileName: sheet.fileName,
+                mode: importMode,
+                conflictPolicy,
+                matchKey,
+                quantityName,
+                activateMissing: String(activateMissing),
+                tagsMode,
+                createMissing: String(createMissing),
+                ...importOptions,
+                preview: String(previewFirst)
+            },
+            { method: "POST" }
+        );
+
+        const signature = headerSignature(sheet.headers);
+        setSavedMappings([
+            { signature, mapping: columnMapping },
+            ...savedMappings.filter((mapping) => mapping.signature !== signature)
+        ]);
+        setSheet(null);
+    };
+
+    const handlePreviewDecision = (intent) => {
+        fetcher.submit({ intent, jobId: job.id }, { method: "POST" });
+    };
+
+    const handleUndo = () => {
+        fetcher.submit({ intent: "undo", jobId: job.id }, { method: "POST" });
+    };
+
     const handleButtonClick = () => {
         if (!selectedLocation) {
             shopify.toast.show("Please select a location first");
@@ -422,26 +627,11 @@ export default function ImportProductData() {
         }
     };
 
-
-    useEffect(() => {
-        if (fetcher.data?.success && fetcher.state === "idle") {
-            const { results } = fetcher.data;
-            shopify.toast.show(`Import complete: ${results.updated} updated, ${results.errors.length} errors`);
-
-
-            setFile(null);
-            setParsedData(null);
-            if (fileInputRef.current) {
-                fileInputRef.current.value = "";
-            }
-        }
-    }, [fetcher.data, fetcher.state, shopify]);
-
     return (
         <s-page heading="Import Product Inventory Data">
             <s-box paddingBlockStart="large">
                 <s-section
-                    heading="Select a location and upload an Excel file with SKU and Quantity Available columns. Other columns are optional.">
+                    heading="Select a location and upload an Excel, CSV or TSV file, then match its columns to SKU, Quantity and the other fields. Prices and product fields (title, status, vendor, type, tags, description) are applied when present, and an Adjustment column (e.g. +24 or -3) adjusts stock instead of setting it; other columns are optional.">
                     <s-select
                         label="Choose Location"
                         value={selectedLocation}
@@ -456,29 +646,103 @@ export default function ImportProductData() {
                         ))}
                     </s-select>
 
+                    <s-select
+                        label="Quantity to import into"
+                        details="A Quantity Name column in the file overrides this per row. States other than available and on hand are moved to and from available."
+                        value={quantityName}
+                        onChange={(e) => setQuantityName(e.target.value)}
+                    >
+                        {Object.entries(QUANTITY_NAMES).map(([key, { label }]) => (
+                            <s-option key={key} value={key}>
+                                {label}
+                            </s-option>
+                        ))}
+                    </s-select>
+
+                    <s-select
+                        label="Match rows to variants by"
+                        details="A value that matches more than one variant is reported as an error instead of updating either."
+                        value={matchKey}
+                        onChange={(e) => setMatchKey(e.target.value)}
+                    >
+                        {Object.entries(MATCH_KEYS).map(([key, { label }]) => (
+                            <s-option key={key} value={key}>
+                                {label}
+                            </s-option>
+                        ))}
+                    </s-select>
+
+                    <s-select
+                        label="Import mode"
+                        value={importMode}
+                        onChange={(e) => setImportMode(e.target.value)}
+                    >
+                        <s-option value="SET">Set quantities to the sheet values</s-option>
+                        <s-option value="ADJUST">Adjust quantities by the sheet values (+/-)</s-option>
+                    </s-select>
+
+                    <s-select
+                        label="When stock changed since the sheet was exported"
+                        details="Applies to rows from an export, which remember the quantity they saw. An On Conflict column (Skip, Overwrite or Delta) overrides this per row."
+                        value={conflictPolicy}
+                        onChange={(e) => setConflictPolicy(e.target.value)}
+                    >
+                        <s-option value="SKIP">Skip the row and report a conflict</s-option>
+                        <s-option value="OVERWRITE">Overwrite with the sheet quantity</s-option>
+                        <s-option value="DELTA">Apply the change made in the sheet to the live stock</s-option>
+                    </s-select>
+
+                    {renderImportOptionFields(importOptions, (name, value) => setImportOptions(current => ({ ...current, [name]: value })))}
+
+                    <s-checkbox
+                        label="Stock variants at locations they are not stocked at yet"
+                        details="Activates the inventory at the row's location with the row's quantity. Without this, such rows fail. Inventory tracking is turned on for every item whose stock the import changes."
+                        checked={activateMissing ? "true" : undefined}
+                        onChange={(e) => setActivateMissing(e.currentTarget.checked)}
+                    />
+
+                    <s-checkbox
+                        label="Create products for rows that match no variant"
+                        details="Rows are grouped into new draft products by Handle, or by Product Title without one, with their options, prices and stock. Use a Status column to publish them right away."
+                        checked={createMissing ? "true" : undefined}
+                        onChange={(e) => setCreateMissing(e.currentTarget.checked)}
+                    />
+
+                    <s-checkbox
+                        label="Preview changes before applying them"
+                        details="Nothing is written to your store until you confirm the preview."
+                        checked={previewFirst ? "true" : undefined}
+                        onChange={(e) => setPreviewFirst(e.currentTarget.checked)}
+                    />
+
                     <input
                         ref={fileInputRef}
                         type="file"
-                        accept=".xlsx,.xls"
+                        accept={SPREADSHEET_ACCEPT}
                         onChange={handleFileChange}
                         style={{ display: 'none' }}
                     />
 
-                    <s-button
-                        variant="primary"
-                        onClick={handleButtonClick}
-                        loading={isLoading ? "true" : undefined}
-                        disabled={!selectedLocation || selectedLocation === "SELECT_LOCATION" ? "disabled" : undefined}
-                        paddingBlock="large"
-                    >
-                        Import Products
-                    </s-button>
+                    <s-stack gap="base" direction="inline">
+                        <s-button
+                            variant="primary"
+                            onClick={handleButtonClick}
+                            loading={isLoading ? "true" : undefined}
+                            disabled={!selectedLocation || selectedLocation === "SELECT_LOCATION" ? "disabled" : undefined}
+                            paddingBlock="large"
+                        >
+                            Import Products
+                        </s-button>
+                        <s-button onClick={() => downloadTemplate(shopify)}>
+                            Download template
+                        </s-button>
+                    </s-stack>
 
                     {selectedLocation === "ALL_LOCATIONS" && (
                         <s-box paddingBlockStart="small-100">
                             <s-banner tone="warning">
                                 <s-text as="p" tone="critical">
-                                    <strong>Inventory Location column is required for All Locations mode.</strong> Make sure your Excel file includes this column with valid location names.
+                                    <strong>Inventory Location column is required for All Locations mode.</strong> Make sure your Excel file includes this column with valid location names, or has a &quot;Qty @ &lt;Location&gt;&quot; column per location.
                                 </s-text>
                             </s-banner>
                         </s-box>
@@ -486,7 +750,78 @@ export default function ImportProductData() {
                 </s-section>
             </s-box>
 
-            {isProgressVisible && (
+            {sheet && !isLoading && (
+                <s-box paddingBlockStart="large">
+                    <s-section heading={`Match the columns of ${sheet.fileName}`}>
+                        <s-paragraph>
+                            {isSavedMapping
+                                ? "These columns are matched the way you matched them for the last file with the same headers."
+                                : "Choose what each column holds. Columns set to \"Don't import\" are ignored, and your choice is remembered for the next file with the same headers."}
+                        </s-paragraph>
+
+                        <s-box paddingBlock="base">
+                            <s-table>
+                                <s-table-header-row>
+                                    <s-table-header>Column in file</s-table-header>
+                                    <s-table-header>Sample values</s-table-header>
+                                    <s-table-header>Import as</s-table-header>
+                                </s-table-header-row>
+                                <s-table-body>
+                                    {sheet.headers.map((header) => (
+                                        <s-table-row key={header}>
+                                            <s-table-cell>{header}</s-table-cell>
+                                            <s-table-cell>{sampleValuesOf(header) || '-'}</s-table-cell>
+                                            <s-table-cell>
+                                                {renderPivotField(header) || (
+                                                    <s-select
+                                                        label={`Import ${header} as`}
+                                                        labelAccessibilityVisibility="exclusive"
+                                                        value={headerFields[header] || ""}
+                                                        onChange={(e) => handleFieldChange(header, e.target.value)}
+                                                    >
+                                                        <s-option value="">Don&apos;t import</s-option>
+                                                        {IMPORT_FIELDS.map((field) => (
+                                                            <s-option key={field.key} value={field.key}>
+                                                                {field.label}
+                                                            </s-option>
+                                                        ))}
+                                                    </s-select>
+                                                )}
+                                            </s-table-cell>
+                                        </s-table-row>
+                                    ))}
+                                </s-table-body>
+                            </s-table>
+                        </s-box>
+
+                        {Object.values(headerFields).includes("Tags") && (
+                            <s-box paddingBlockEnd="base">
+                                <s-select
+                                    label="Apply the Tags column by"
+                                    details="Tags are separated by commas."
+                                    value={tagsMode}
+                                    onChange={(e) => setTagsMode(e.target.value)}
+                                >
+                                    <s-option value="REPLACE">Replacing the product&apos;s tags</s-option>
+                                    <s-option value="ADD">Adding to the product&apos;s tags</s-option>
+                                    <s-option value="REMOVE">Removing from the product&apos;s tags</s-option>
+                                </s-select>
+                            </s-box>
+                        )}
+
+                        <s-stack gap="base" direction="inline">
+                            <s-button variant="primary" onClick={handleStartImport}>
+                                Import {sheet.rows.length} rows
+                            </s-button>
+                            <s-button onClick={() => setSheet(null)}>
+                                Cancel
+                            </s-button>
+                        </s-stack>
+                    </s-section>
+                </s-box>
+            )}
+
+            {isJobActive && (
                 <div style={{
                     position: 'fixed',
                     top: '50%',
@@ -502,99 +837,162 @@ export default function ImportProductData() {
                     <div style={{ width: '100%' }}>
                         <ProgressBar progress={progress} size="small" />
                     </div>
-                    <s-text variant="bodyLg">Importing products...</s-text>
+                    <s-text variant="bodyLg">
+                        {job.status === "PENDING"
+                            ? "Waiting to start..."
+                            : isApplying
+                                ? `Importing products... ${job.appliedChanges} of ${job.totalChanges} changes`
+                                : `Checking rows... ${job.processedRows} of ${job.totalRows} rows`}
+                    </s-text>
+                    <s-text>
+                        {job.updatedRows} updated, {job.activatedRows ? `${job.activatedRows} activated, ` : ""}{job.skippedRows} skipped, {job.conflictRows} conflicts, {job.failedRows} failed
+                    </s-text>
                     <s-div className="ProcessMain">
                         <s-text className="ProcessInner"></s-text>
                     </s-div>
                 </div>
             )}
 
-            {!isLoading && fetcher.data?.results && !isProgressVisible && (
+            {!isLoading && job?.status === "FAILED" && (
+                <s-box paddingBlockStart="large">
+                    <s-banner tone="critical" heading="Import failed">
+                        <s-paragraph>{job.error}</s-paragraph>
+                    </s-banner>
+                </s-box>
+            )}
+
+            {!isLoading && job?.status === "PREVIEW" && (
+                <s-box paddingBlockStart="large" paddingBlockEnd="large">
+                    <s-section heading={`Preview of ${job.fileName || "your file"}`}>
+                        <s-stack gap="200" direction="block">
+                            <s-text as="p">Total rows: {job.totalRows}</s-text>
+                            <s-text as="p">Changes to apply: {job.totalChanges}</s-text>
+                            <s-text as="p">No change: {job.skippedRows}</s-text>
+                            <s-text as="p">Conflicts: {job.conflictRows}</s-text>
+                            <s-text as="p">Errors: {job.failedRows}</s-text>
+                        </s-stack>
+
+                        <s-box paddingBlock="base">
+                            <s-table>
+                                <s-table-header-row>
+                                    <s-table-header>Status</s-table-header>
+                                    <s-table-header>Item</s-table-header>
+                                    <s-table-header>Location</s-table-header>
+                                    <s-table-header format="numeric">Current</s-table-header>
+                                    <s-table-header format="numeric">New</s-table-header>
+                                    <s-table-header format="numeric">Change</s-table-header>
+                                </s-table-header-row>
+                                <s-table-body>
+                                    {previewRows
+                                        .slice((previewPage - 1) * previewRowsPerPage, previewPage * previewRowsPerPage)
+                                        .map((row, index) => (
+                                            <s-table-row key={index}>
+                                                <s-table-cell>{row.status}</s-table-cell>
+                                                <s-table-cell>{row.sku?.toString() || '-'}</s-table-cell>
+                                                <s-table-cell>{row.location?.toString() || '-'}</s-table-cell>
+                                                <s-table-cell>{row.current ?? '-'}</s-table-cell>
+                                                <s-table-cell>{row.quantity?.toString() || '-'}</s-table-cell>
+                                                <s-table-cell>
+                                                    {row.change === undefined ? '-' : row.change > 0 ? `+${row.change}` : row.change}
+                                                </s-table-cell>
+                                            </s-table-row>
+                                        ))}
+                                </s-table-body>
+                            </s-table>
+                            {previewRows.length > previewRowsPerPage && (
+                                <Pagination
+                                    hasPrevious={previewPage > 1}
+                                    onPrevious={() => setPreviewPage(previewPage - 1)}
+                                    hasNext={previewPage < Math.ceil(previewRows.length / previewRowsPerPage)}
+                                    onNext={() => setPreviewPage(previewPage + 1)}
+                                    type="table"
+                                    label={`${((previewPage - 1) * previewRowsPerPage) + 1}-${Math.min(previewPage * previewRowsPerPage, previewRows.length)} of ${previewRows.length}`}
+                                />
+                            )}
+                        </s-box>
+
+                        <s-stack gap="base" direction="inline">
+                            <s-button
+                                variant="primary"
+                                onClick={() => handlePreviewDecision("confirm")}
+                                disabled={job.totalChanges === 0 ? "disabled" : undefined}
+                            >
+                                Apply {job.totalChanges} changes
+                            </s-button>
+                            <s-button onClick={() => handlePreviewDecision("cancel")}>
+                                Discard
+                            </s-button>
+                        </s-stack>
+                    </s-section>
+                </s-box>
+            )}
+
+            {!isLoading && results && (
                 <>
                     <s-box paddingBlockStart="large">
                         <s-section heading="Import Results">
                             <s-stack gap="200" direction="block">
-                                <s-text as="p">Total rows: {fetcher.data.results.total}</s-text>
-                                <s-text as="p">Successfully updated: {fetcher.data.results.updated}</s-text>
-                                <s-text as="p">Skipped: {fetcher.data.results.skippedRows?.length || 0}</s-text>
-                                <s-text as="p">Errors: {fetcher.data.results.errors.length}</s-text>
+                                <s-text as="p">Total rows: {results.total}</s-text>
+                                <s-text as="p">Successfully updated: {results.updated}</s-text>
+                                <s-text as="p">Prices updated: {results.pricesUpdated || 0}</s-text>
+                                <s-text as="p">Activated at a location: {results.activated || 0}</s-text>
+                                <s-text as="p">Products updated: {results.productsUpdated || 0}</s-text>
+                                <s-text as="p">Products created: {results.created || 0}</s-text>
+                                <s-text as="p">Skipped: {results.skippedRows?.length || 0}</s-text>
+                                <s-text as="p">Conflicts: {results.conflictRows?.length || 0}</s-text>
+                                <s-text as="p">Errors: {results.errors.length}</s-text>
                             </s-stack>
+
+                            {canUndo && (
+                                <s-box paddingBlockStart="base">
+                                    <s-button tone="critical" onClick={handleUndo}>
+                                        Undo this import
+                                    </s-button>
+                                    <s-text as="p" tone="subdued">
+                                        Puts back the quantities, prices and product fields from before the import, removes the stock it added at new locations and deletes the products it created. Anything that changed since is left as it is and listed below.
+                                    </s-text>
+                                </s-box>
+                            )}
+
+                            {isRollbackActive && (
+                                <s-box paddingBlockStart="base">
+                                    <s-text as="p">
+                                        {rollbackResults
+                                            ? `Undoing import... ${rollbackResults.reverted + rollbackResults.failedRows.length} of ${rollbackResults.total} changes`
+                                            : "Waiting to undo the import..."}
+                                    </s-text>
+                                </s-box>
+                            )}
+
+                            {job.rollbackStatus === "COMPLETED" && (
+                                <s-box paddingBlockStart="base">
+                                    <s-banner tone={rollbackResults.failedRows.length ? "warning" : "success"} heading="Import undone">
+                                        <s-paragraph>
+                                            {rollbackResults.reverted} of {rollbackResults.total} changes were reverted.
+                                            {rollbackResults.failedRows.length > 0 && " The rows below could not be reverted."}
+                                        </s-paragraph>
+                                    </s-banner>
+                                </s-box>
+                            )}
+
+                            {job.rollbackStatus === "FAILED" && (
+                                <s-box paddingBlockStart="base">
+                                    <s-banner tone="critical" heading="Undo failed">
+                                        <s-paragraph>{rollbackResults?.error}</s-paragraph>
+                                    </s-banner>
+                                </s-box>
+                            )}
                         </s-section>
                     </s-box>
 
-                    {fetcher.data.results.failedRows?.length > 0 && (
-                        <s-box paddingBlockStart="large">
-                            <s-section heading={`❌ Failed Rows (${fetcher.data.results.failedRows.length})`}>
-                                <s-table>
-                                    <s-table-header-row>
-                                        {Object.keys(fetcher.data.results.failedRows[0] || {}).map((key) => (
-                                            <s-table-header key={key}>{key}</s-table-header>
-                                        ))}
-                                    </s-table-header-row>
-                                    <s-table-body>
-                                        {fetcher.data.results.failedRows
-                                            .slice((failedPage - 1) * failedRowsPerPage, failedPage * failedRowsPerPage)
-                                            .map((row, index) => (
-                                                <s-table-row key={index}>
-                                                    {Object.keys(fetcher.data.results.failedRows[0] || {}).map((key, cellIndex) => (
-                                                        <s-table-cell key={cellIndex}>
-                                                            {row[key]?.toString() || '-'}
-                                                        </s-table-cell>
-                                                    ))}
-                                                </s-table-row>
-                                            ))}
-                                    </s-table-body>
-                                </s-table>
-                                {fetcher.data.results.failedRows.length > failedRowsPerPage && (
-                                    <Pagination
-                                        hasPrevious={failedPage > 1}
-                                        onPrevious={() => setFailedPage(failedPage - 1)}
-                                        hasNext={failedPage < Math.ceil(fetcher.data.results.failedRows.length / failedRowsPerPage)}
-                                        onNext={() => setFailedPage(failedPage + 1)}
-                                        type="table"
-                                        label={`${((failedPage - 1) * failedRowsPerPage) + 1}-${Math.min(failedPage * failedRowsPerPage, fetcher.data.results.failedRows.length)} of ${fetcher.data.results.failedRows.length}`}
-                                    />
-                                )}
-                            </s-section>
-                        </s-box>
-                    )}
+                    {!isRollbackActive && renderResultRows("notReverted", "↩️ Not Reverted", rollbackResults?.failedRows)}
 
-                    {fetcher.data.results.skippedRows?.length > 0 && (
-                        <s-box paddingBlockStart="large" paddingBlockEnd="large">
-                            <s-section heading={`⏭️ Skipped Rows (${fetcher.data.results.skippedRows.length}) - Quantity Already Matches`}>
-                                <s-table>
-                                    <s-table-header-row>
-                                        {Object.keys(fetcher.data.results.skippedRows[0] || {}).map((key) => (
-                                            <s-table-header key={key}>{key}</s-table-header>
-                                        ))}
-                                    </s-table-header-row>
-                                    <s-table-body>
-                                        {fetcher.data.results.skippedRows
-                                            .slice((skippedPage - 1) * skippedRowsPerPage, skippedPage * skippedRowsPerPage)
-                                            .map((row, index) => (
-                                                <s-table-row key={index}>
-                                                    {Object.keys(fetcher.data.results.skippedRows[0] || {}).map((key, cellIndex) => (
-                                                        <s-table-cell key={cellIndex}>
-                                                            {row[key]?.toString() || '-'}
-                                                        </s-table-cell>
-                                                    ))}
-                                                </s-table-row>
-                                            ))}
-                                    </s-table-body>
-                                </s-table>
-                                {fetcher.data.results.skippedRows.length > skippedRowsPerPage && (
-                                    <Pagination
-                                        hasPrevious={skippedPage > 1}
-                                        onPrevious={() => setSkippedPage(skippedPage - 1)}
-                                        hasNext={skippedPage < Math.ceil(fetcher.data.results.skippedRows.length / skippedRowsPerPage)}
-                                        onNext={() => setSkippedPage(skippedPage + 1)}
-                                        type="table"
-                                        label={`${((skippedPage - 1) * skippedRowsPerPage) + 1}-${Math.min(skippedPage * skippedRowsPerPage, fetcher.data.results.skippedRows.length)} of ${fetcher.data.results.skippedRows.length}`}
-                                    />
-                                )}
-                            </s-section>
-                        </s-box>
-                    )}
+                    {renderResultRows("updated", "✅ Updated Rows", results.updatedRows)}
+                    {renderResultRows("created", "🆕 Created Rows", results.createdRows)}
+                    {renderResultRows("activated", "📍 Activated Rows", results.activatedRows)}
+                    {renderResultRows("conflicts", "⚠️ Conflicts", results.conflictRows)}
+                    {renderResultRows("failed", "❌ Failed Rows", results.failedRows, { label: "Download failed rows", reasonColumn: "Error Reason", suffix: "failed" })}
+                    {renderResultRows("skipped", "⏭️ Skipped Rows", results.skippedRows, { label: "Download skipped rows", reasonColumn: "Reason", suffix: "skipped" })}
                 </>
             )}
         </s-page>
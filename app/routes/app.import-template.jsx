@@ -0,0 +1,28 @@
+import { authenticate } from "../shopify.server";
+import { buildImportTemplate } from "../services/importTemplate.server";
+import { SPREADSHEET_FORMATS } from "../utils/spreadsheet";
+
+export const loader = async ({ request }) => {
+    const { admin } = await authenticate.admin(request);
+
+    const response = await admin.graphql(
+        `#graphql
+        query getTemplateLocations {
+            locations(first: 250) {
+                nodes {
+                    name
+                }
+            }
+        }`
+    );
+
+    const data = await response.json();
+    const locationNames = data.data?.locations?.nodes.map(location => location.name) || [];
+
+    return new Response(await buildImportTemplate(locationNames), {
+        headers: {
+            "Content-Type": SPREADSHEET_FORMATS.XLSX.mimeType,
+            "Content-Disposition": 'attachment; filename="inventory_import_template.xlsx"',
+        },
+    });
+};
@@ -27,7 +27,9 @@ export default function App() {
         <a href="/app/person">Person</a>
         <a href="/app/import-product-data">Import product Inventory Data</a>
         <a href="/app/export-product-data">Export product Inventory Data</a>
-        {/* <a href="/app/scheduled-import">Scheduled Import</a> */}
+        <a href="/app/scheduled-import">Scheduled Import</a>
+        <a href="/app/scheduled-export">Scheduled Export</a>
+        <a href="/app/import-history">Import History</a>
         <a href="/app/settings">Settings</a>
       </NavMenu>
       <PolarisAppProvider i18n={enTranslations}>
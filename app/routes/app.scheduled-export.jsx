@@ -0,0 +1,425 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useRevalidator } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getShopSettings } from "../models/shopSettings.server";
+import {
+    deleteExportSchedule,
+    getExportScheduleForRun,
+    getExportSchedules,
+    MAX_KEEP_FILES,
+    pruneScheduledExports,
+    saveExportSchedule,
+    setExportScheduleEnabled
+} from "../models/exportSchedule.server";
+import { parseExportFilters } from "../services/exportFilters.server";
+import { runExportSchedule } from "../services/exportScheduler.server";
+import { SPREADSHEET_FORMATS } from "../utils/spreadsheet";
+import { cleanExportColumns, EXPORT_LAYOUTS } from "../utils/exportColumns";
+import { checkSchedule, describeSchedule, nextRunTime, SCHEDULE_TYPES } from "../utils/schedule";
+import { optionOf, parseId, readJsonField } from "../utils/formFields";
+import {
+    describeFilters,
+    downloadExport,
+    EMPTY_FILTERS,
+    filtersFormOf,
+    formatFileSize,
+    renderColumnPicker,
+    renderFilterFields
+} from "../components/exportOptions";
+
+export const loader = async ({ request }) => {
+    const { admin, session } = await authenticate.admin(request);
+
+    const response = await admin.graphql(
+        `#graphql
+        query getLocations {
+            locations(first: 250, includeLegacy: true, includeInactive: true) {
+                nodes {
+                    id
+                    name
+                }
+            }
+            collections(first: 250, sortKey: TITLE) {
+                nodes {
+                    id
+                    title
+                }
+            }
+        }`
+    );
+    const data = await response.json();
+
+    return {
+        locations: data.data?.locations?.nodes || [],
+        collections: data.data?.collections?.nodes || [],
+        schedules: await getExportSchedules(session.shop),
+        settings: await getShopSettings(session.shop)
+    };
+};
+
+// The schedule fields of a submitted form, or `{ error }`.
+function readScheduleForm(formData) {
+    const scheduleType = formData.get("scheduleType") === SCHEDULE_TYPES.INTERVAL ? SCHEDULE_TYPES.INTERVAL : SCHEDULE_TYPES.CRON;
+    const schedule = {
+        scheduleType,
+        cron: scheduleType === SCHEDULE_TYPES.CRON ? String(formData.get("cron") || "").trim() : null,
+        intervalMinutes: scheduleType === SCHEDULE_TYPES.INTERVAL ? Number(formData.get("intervalMinutes")) : null
+    };
+    const name = String(formData.get("name") || "").trim();
+    const locationId = String(formData.get("locationId") || "");
+    const format = optionOf(SPREADSHEET_FORMATS, formData.get("format"), "XLSX");
+    const layout = optionOf(EXPORT_LAYOUTS, formData.get("layout"), "ROWS");
+    const keepFiles = Number(formData.get("keepFiles"));
+
+    if (!name) {
+        return { error: "Give the schedule a name" };
+    }
+    const scheduleError = checkSchedule(schedule);
+    if (scheduleError) {
+        return { error: scheduleError };
+    }
+    if (!locationId || locationId === "SELECT_LOCATION") {
+        return { error: "Please select a location first" };
+    }
+    if (layout === "SHEETS" && format !== "XLSX") {
+        return { error: "One worksheet per location needs the XLSX format" };
+    }
+    const columns = cleanExportColumns(readJsonField(formData, "columns", []));
+    if (columns.length === 0) {
+        return { error: "Choose at least one column to export" };
+    }
+    if (!Number.isInteger(keepFiles) || keepFiles < 1 || keepFiles > MAX_KEEP_FILES) {
+        return { error: `Keep between 1 and ${MAX_KEEP_FILES} files` };
+    }
+
+    return {
+        name,
+        ...schedule,
+        locationId,
+        format,
+        layout,
+        filters: parseExportFilters(formData),
+        columns,
+        keepFiles
+    };
+}
+
+export const action = async ({ request }) => {
+    const { session } = await authenticate.admin(request);
+
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+    const id = parseId(formData.get("id"));
+
+    // Only a new schedule comes without an id.
+    const isNew = !formData.get("id") && intent === "save";
+    if (!id && !isNew) {
+        return { success: false, error: "This schedule no longer exists" };
+    }
+
+    if (intent === "save") {
+        const schedule = readScheduleForm(formData);
+        if (schedule.error) {
+            return { success: false, error: schedule.error };
+        }
+        const saved = await saveExportSchedule(session.shop, id, { ...schedule, nextRunAt: nextRunTime(schedule) });
+        if (!saved) {
+            return { success: false, error: "This schedule no longer exists" };
+        }
+        // Keeping fewer files takes effect right away.
+        if (id) {
+            await pruneScheduledExports(session.shop, id);
+        }
+        return { success: true, saved: true };
+    }
+
+    if (intent === "delete") {
+        await deleteExportSchedule(session.shop, id);
+        return { success: true };
+    }
+
+    const schedule = await getExportScheduleForRun(session.shop, id);
+    if (!schedule) {
+        return { success: false, error: "This schedule no longer exists" };
+    }
+
+    if (intent === "toggle") {
+        const enabled = !schedule.enabled;
+        await setExportScheduleEnabled(session.shop, id, enabled, enabled ? nextRunTime(schedule) : null);
+        return { success: true };
+    }
+
+    if (intent === "run") {
+        await runExportSchedule(schedule);
+        return { success: true, message: "Export queued" };
+    }
+
+    return { success: false, error: "Unknown action" };
+};
+
+const EMPTY_FORM = {
+    id: null,
+    name: "",
+    scheduleType: SCHEDULE_TYPES.CRON,
+    cron: "0 0 * * *",
+    intervalMinutes: "60",
+    locationId: "SELECT_LOCATION",
+    format: "XLSX",
+    layout: "ROWS",
+    keepFiles: "7"
+};
+
+// The saved schedule as form values; filters and columns have their own state.
+const formOf = (schedule) => ({
+    id: schedule.id,
+    name: schedule.name,
+    scheduleType: schedule.scheduleType,
+    cron: schedule.cron || EMPTY_FORM.cron,
+    intervalMinutes: String(schedule.intervalMinutes || EMPTY_FORM.intervalMinutes),
+    locationId: schedule.locationId,
+    format: schedule.format,
+    layout: schedule.layout,
+    keepFiles: String(schedule.keepFiles)
+});
+
+const isJobActive = (job) => job.status === "PENDING" || job.status === "RUNNING";
+
+export default function ScheduledExport() {
+    const shopify = useAppBridge();
+    const { locations, collections, schedules, settings } = useLoaderData();
+    const fetcher = useFetcher();
+    const revalidator = useRevalidator();
+    const [form, setForm] = useState(null);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [columns, setColumns] = useState(settings.exportColumns);
+
+    const isSubmitting = fetcher.state !== "idle";
+    const hasActiveJobs = schedules.some((schedule) => schedule.jobs.some(isJobActive));
+
+    useEffect(() => {
+        if (fetcher.data?.error) {
+            shopify.toast.show(fetcher.data.error, { isError: true });
+        } else if (fetcher.data?.saved) {
+            shopify.toast.show("Schedule saved");
+            setForm(null);
+        } else if (fetcher.data?.message) {
+            shopify.toast.show(fetcher.data.message);
+        }
+    }, [fetcher.data, shopify]);
+
+    // Exports are built by the export worker; the page follows them until
+    // their files are ready.
+    useEffect(() => {
+        if (!hasActiveJobs || revalidator.state !== "idle") {
+            return;
+        }
+        const timeout = setTimeout(() => revalidator.revalidate(), 3000);
+        return () => clearTimeout(timeout);
+    }, [hasActiveJobs, revalidator]);
+
+    const setField = (name) => (e) => setForm((current) => ({ ...current, [name]: e.target.value }));
+
+    const locationName = (id) =>
+        id === "ALL_LOCATIONS" ? "All Locations" : locations.find((location) => location.id === id)?.name || "Unknown location";
+
+    // A new schedule starts from the shop's settings.
+    const newForm = () => {
+        const { defaultLocationId } = settings;
+        const hasLocation = defaultLocationId === "ALL_LOCATIONS" || locations.some((location) => location.id === defaultLocationId);
+        return { ...EMPTY_FORM, locationId: hasLocation ? defaultLocationId : EMPTY_FORM.locationId, format: settings.exportFormat };
+    };
+
+    const openForm = (schedule) => {
+        setForm(schedule ? formOf(schedule) : newForm());
+        setFilters(filtersFormOf(schedule?.filters));
+        setColumns(schedule?.columns?.length ? schedule.columns : settings.exportColumns);
+    };
+
+    const handleSave = () => {
+        fetcher.submit(
+            { intent: "save", ...form, id: form.id || "", ...filters, columns: JSON.stringify(columns) },
+            { method: "POST" }
+        );
+    };
+
+    const handleScheduleAction = (intent, schedule) => {
+        if (intent === "delete" && !window.confirm(`Delete the schedule "${schedule.name}" and its files?`)) {
+            return;
+        }
+        fetcher.submit({ intent, id: schedule.id }, { method: "POST" });
+    };
+
+    return (
+        <s-page heading="Scheduled Export">
+            <s-button slot="primary-action" onClick={() => openForm(null)}>
+                New schedule
+            </s-button>
+
+            {form && (
+                <s-box paddingBlockStart="large">
+                    <s-section heading={form.id ? `Edit ${form.name}` : "New schedule"}>
+                        <s-text-field label="Name" value={form.name} onChange={setField("name")} />
+
+                        <s-select label="Run" value={form.scheduleType} onChange={setField("scheduleType")}>
+                            <s-option value={SCHEDULE_TYPES.CRON}>On a cron schedule</s-option>
+                            <s-option value={SCHEDULE_TYPES.INTERVAL}>Every few minutes or hours</s-option>
+                        </s-select>
+                        {form.scheduleType === SCHEDULE_TYPES.CRON ? (
+                            <s-text-field
+                                label="Cron expression"
+                                details="Minute, hour, day of month, month and day of week, in UTC. 0 0 * * * runs every night at midnight; 0 23 L * * at 23:00 on the last day of each month."
+                                value={form.cron}
+                                onChange={setField("cron")}
+                            />
+                        ) : (
+                            <s-number-field
+                                label="Interval in minutes"
+                                min={5}
+                                step={1}
+                                value={form.intervalMinutes}
+                                onChange={setField("intervalMinutes")}
+                            />
+                        )}
+                        <s-number-field
+                            label="Files to keep"
+                            details="Older files are deleted as new ones are made. Failed runs do not count toward them."
+                            min={1}
+                            max={MAX_KEEP_FILES}
+                            step={1}
+                            value={form.keepFiles}
+                            onChange={setField("keepFiles")}
+                        />
+
+                        <s-select label="Location" value={form.locationId} onChange={setField("locationId")}>
+                            <s-option value="SELECT_LOCATION" disabled>- Select -</s-option>
+                            <s-option value="ALL_LOCATIONS">All Locations</s-option>
+                            {locations.map((location) => (
+                                <s-option key={location.id} value={location.id}>
+                                    {location.name}
+                                </s-option>
+                            ))}
+                        </s-select>
+                        <s-select label="File format" value={form.format} onChange={setField("format")}>
+                            {Object.entries(SPREADSHEET_FORMATS).map(([key, format]) => (
+                                <s-option key={key} value={key}>
+                                    {format.label}
+                                </s-option>
+                            ))}
+                        </s-select>
+                        <s-select label="Layout" value={form.layout} onChange={setField("layout")}>
+                            {Object.entries(EXPORT_LAYOUTS).map(([key, layout]) => (
+                                <s-option
+                                    key={key}
+                                    value={key}
+                                    disabled={key === "SHEETS" && form.format !== "XLSX" ? "disabled" : undefined}
+                                >
+                                    {layout.label}
+                                </s-option>
+                            ))}
+                        </s-select>
+
+                        <s-heading>Filters</s-heading>
+                        {renderFilterFields(filters, setFilters, collections)}
+                        <s-heading>Columns</s-heading>
+                        {renderColumnPicker(columns, setColumns)}
+
+                        <s-box paddingBlockStart="base">
+                            <s-stack gap="base" direction="inline">
+                                <s-button
+                                    variant="primary"
+                                    onClick={handleSave}
+                                    loading={isSubmitting ? "true" : undefined}
+                                    disabled={!columns.length ? "disabled" : undefined}
+                                >
+                                    Save schedule
+                                </s-button>
+                                <s-button onClick={() => setForm(null)}>
+                                    Cancel
+                                </s-button>
+                            </s-stack>
+                        </s-box>
+                    </s-section>
+                </s-box>
+            )}
+
+            {schedules.length === 0 && !form && (
+                <s-box paddingBlockStart="large" paddingBlockEnd="large">
+                    <s-section heading="Schedule your exports">
+                        <s-paragraph>
+                            Make a stock file every night, or at the end of each month, without opening the app. The files are kept here for download.
+                        </s-paragraph>
+                        <s-button onClick={() => openForm(null)}>New schedule</s-button>
+                    </s-section>
+                </s-box>
+            )}
+
+            {schedules.map((schedule) => (
+                <s-box key={schedule.id} paddingBlockStart="large">
+                    <s-section heading={schedule.name}>
+                        <s-stack gap="200" direction="block">
+                            <s-text as="p">
+                                {describeSchedule(schedule)}: {locationName(schedule.locationId)}, {describeFilters(schedule.filters, collections)}, {SPREADSHEET_FORMATS[schedule.format].label}
+                            </s-text>
+                            <s-text as="p" tone="subdued">
+                                {schedule.enabled && schedule.nextRunAt
+                                    ? `Next run ${new Date(schedule.nextRunAt).toLocaleString()}. The last ${schedule.keepFiles} files are kept.`
+                                    : `Paused. The last ${schedule.keepFiles} files are kept.`}
+                            </s-text>
+                        </s-stack>
+
+                        <s-box paddingBlock="base">
+                            <s-stack gap="base" direction="inline">
+                                <s-button onClick={() => handleScheduleAction("run", schedule)} disabled={isSubmitting ? "disabled" : undefined}>
+                                    Run now
+                                </s-button>
+                                <s-button onClick={() => openForm(schedule)}>
+                                    Edit
+                                </s-button>
+                                <s-button onClick={() => handleScheduleAction("toggle", schedule)}>
+                                    {schedule.enabled ? "Pause" : "Resume"}
+                                </s-button>
+                                <s-button tone="critical" onClick={() => handleScheduleAction("delete", schedule)}>
+                                    Delete
+                                </s-button>
+                            </s-stack>
+                        </s-box>
+
+                        {schedule.jobs.length > 0 ? (
+                            <s-table>
+                                <s-table-header-row>
+                                    <s-table-header>Date</s-table-header>
+                                    <s-table-header>Rows</s-table-header>
+                                    <s-table-header>File</s-table-header>
+                                </s-table-header-row>
+                                <s-table-body>
+                                    {schedule.jobs.map((job) => (
+                                        <s-table-row key={job.id}>
+                                            <s-table-cell>{new Date(job.createdAt).toLocaleString()}</s-table-cell>
+                                            <s-table-cell>{job.status === "COMPLETED" ? job.rowCount : "-"}</s-table-cell>
+                                            <s-table-cell>
+                                                {job.status === "COMPLETED" && job.fileName ? (
+                                                    <s-button variant="tertiary" onClick={() => downloadExport(shopify, job)}>
+                                                        {job.fileName}, {formatFileSize(job.fileSize)}
+                                                    </s-button>
+                                                ) : job.status === "COMPLETED" ? (
+                                                    "No products"
+                                                ) : job.status === "FAILED" ? (
+                                                    <s-badge tone="critical">Failed: {job.error}</s-badge>
+                                                ) : (
+                                                    <s-badge>In progress</s-badge>
+                                                )}
+                                            </s-table-cell>
+                                        </s-table-row>
+                                    ))}
+                                </s-table-body>
+                            </s-table>
+                        ) : (
+                            <s-paragraph>No files yet.</s-paragraph>
+                        )}
+                    </s-section>
+                </s-box>
+            ))}
+        </s-page>
+    );
+}
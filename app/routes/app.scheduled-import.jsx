@@ -1,13 +1,563 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useRevalidator } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+    deleteImportSchedule,
+    getImportScheduleForRun,
+    getImportSchedules,
+    saveImportSchedule,
+    setImportScheduleEnabled
+} from "../models/importSchedule.server";
+import { getShopSettings } from "../models/shopSettings.server";
+import { runImportSchedule } from "../services/importScheduler.server";
+import { fetchSourceFile, parseSourceUrl, sftpPasswordFor } from "../services/importSource.server";
+import { staffUserOf } from "../services/staffUser.server";
+import { CONFLICT_POLICIES, IMPORT_MODES } from "../services/inventoryImport.server";
+import { readSpreadsheet } from "../utils/spreadsheet";
+import {
+    checkColumnMapping,
+    cleanColumnMapping,
+    guessColumnMapping,
+    hasPivotColumns,
+    IMPORT_FIELDS,
+    MATCH_KEYS
+} from "../utils/importColumns";
+import { checkSchedule, describeSchedule, nextRunTime, SCHEDULE_TYPES } from "../utils/schedule";
+import { isRecord, optionOf, parseId, readJsonField } from "../utils/formFields";
+
+export const loader = async ({ request }) => {
+    const { admin, session } = await authenticate.admin(request);
+
+    const response = await admin.graphql(
+        `#graphql
+        query getLocations {
+            locations(first: 250, includeLegacy: true, includeInactive: true) {
+                nodes {
+                    id
+                    name
+                }
+            }
+        }`
+    );
+    const data = await response.json();
+
+    return {
+        locations: data.data?.locations?.nodes || [],
+        schedules: await getImportSchedules(session.shop),
+        settings: await getShopSettings(session.shop)
+    };
+};
+
+// The schedule fields of a submitted form, or `{ error }`.
+function readScheduleForm(formData) {
+    const scheduleType = formData.get("scheduleType") === SCHEDULE_TYPES.INTERVAL ? SCHEDULE_TYPES.INTERVAL : SCHEDULE_TYPES.CRON;
+    const schedule = {
+        scheduleType,
+        cron: scheduleType === SCHEDULE_TYPES.CRON ? String(formData.get("cron") || "").trim() : null,
+        intervalMinutes: scheduleType === SCHEDULE_TYPES.INTERVAL ? Number(formData.get("intervalMinutes")) : null
+    };
+    const name = String(formData.get("name") || "").trim();
+    const sourceUrl = String(formData.get("sourceUrl") || "").trim();
+    const locationId = String(formData.get("locationId") || "");
+    const matchKey = optionOf(MATCH_KEYS, formData.get("matchKey"), "SKU");
+
+    if (!name) {
+        return { error: "Give the schedule a name" };
+    }
+    const scheduleError = checkSchedule(schedule);
+    if (scheduleError) {
+        return { error: scheduleError };
+    }
+    const source = parseSourceUrl(sourceUrl);
+    if (source.error) {
+        return { error: source.error };
+    }
+    if (!locationId || locationId === "SELECT_LOCATION") {
+        return { error: "Please select a location first" };
+    }
+
+    const sentHeaders = readJsonField(formData, "headers", []);
+    const sentMapping = readJsonField(formData, "columnMapping", {});
+    if (!Array.isArray(sentHeaders) || !isRecord(sentMapping)) {
+        return { error: "The file's columns could not be read, please read them again" };
+    }
+    const headers = sentHeaders.map(String);
+    const columnMapping = cleanColumnMapping(sentMapping, headers);
+    const mappingError = checkColumnMapping(columnMapping, {
+        isAllLocationsMode: locationId === "ALL_LOCATIONS",
+        matchKey,
+        isPivot: hasPivotColumns(headers)
+    });
+    if (mappingError) {
+        return { error: mappingError };
+    }
+
+    return {
+        name,
+        ...schedule,
+        sourceUrl,
+        sftpPassword: String(formData.get("sftpPassword") || ""),
+        locationId,
+        mode: formData.get("mode") === IMPORT_MODES.ADJUST ? IMPORT_MODES.ADJUST : IMPORT_MODES.SET,
+        conflictPolicy: optionOf(CONFLICT_POLICIES, formData.get("conflictPolicy"), CONFLICT_POLICIES.SKIP),
+        matchKey,
+        columnMapping
+    };
+}
+
+export const action = async ({ request }) => {
+    const { admin, session, sessionToken } = await authenticate.admin(request);
+
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+    const id = parseId(formData.get("id"));
+
+    // Only a new schedule comes without an id.
+    const isNew = !formData.get("id") && (intent === "save" || intent === "readColumns");
+    if (!id && !isNew) {
+        return { success: false, error: "This schedule no longer exists" };
+    }
+
+    // Fetches the file once so its columns can be matched before the
+    // schedule is saved. A blank password uses the saved one, as long as the
+    // server is the one it was saved for.
+    if (intent === "readColumns") {
+        const saved = id ? await getImportScheduleForRun(session.shop, id) : null;
+        const sourceUrl = String(formData.get("sourceUrl") || "").trim();
+        const { password, error } = sftpPasswordFor(sourceUrl, String(formData.get("sftpPassword") || ""), saved);
+        if (error) {
+            return { success: false, error };
+        }
+        try {
+            const file = await fetchSourceFile({ sourceUrl, sftpPassword: password });
+            const { headers, rows } = await readSpreadsheet(file.fileName, file.buffer);
+            const columnMapping = saved?.columnMapping
+                ? cleanColumnMapping(saved.columnMapping, headers)
+                : guessColumnMapping(headers);
+            return { success: true, columns: { fileName: file.fileName, headers, rowCount: rows.length, columnMapping } };
+        } catch (error) {
+            return { success: false, error: `The file could not be read: ${error.message}` };
+        }
+    }
+
+    if (intent === "save") {
+        const schedule = readScheduleForm(formData);
+        if (schedule.error) {
+            return { success: false, error: schedule.error };
+        }
+        const { password, error } = sftpPasswordFor(
+            schedule.sourceUrl,
+            schedule.sftpPassword,
+            id ? await getImportScheduleForRun(session.shop, id) : null
+        );
+        if (error) {
+            return { success: false, error };
+        }
+        const saved = await saveImportSchedule(session.shop, id, {
+            ...schedule,
+            sftpPassword: password,
+            nextRunAt: nextRunTime(schedule)
+        });
+        return saved ? { success: true, saved: true } : { success: false, error: "This schedule no longer exists" };
+    }
+
+    if (intent === "delete") {
+        await deleteImportSchedule(session.shop, id);
+        return { success: true };
+    }
+
+    const schedule = await getImportScheduleForRun(session.shop, id);
+    if (!schedule) {
+        return { success: false, error: "This schedule no longer exists" };
+    }
+
+    if (intent === "toggle") {
+        const enabled = !schedule.enabled;
+        await setImportScheduleEnabled(session.shop, id, enabled, enabled ? nextRunTime(schedule) : null);
+        return { success: true };
+    }
+
+    if (intent === "run") {
+        const run = await runImportSchedule(schedule, await staffUserOf({ admin, session, sessionToken }));
+        return run.error
+            ? { success: false, error: `The run failed: ${run.error}` }
+            : { success: true, message: "Import queued" };
+    }
+
+    return { success: false, error: "Unknown action" };
+};
+
+const EMPTY_FORM = {
+    id: null,
+    name: "",
+    scheduleType: SCHEDULE_TYPES.CRON,
+    cron: "0 2 * * *",
+    intervalMinutes: "60",
+    sourceUrl: "",
+    sftpPassword: "",
+    hasPassword: false,
+    locationId: "SELECT_LOCATION",
+    matchKey: "SKU",
+    mode: "SET",
+    conflictPolicy: "SKIP"
+};
+
+// The saved schedule as form values; the mapping is read again with the
+// file's columns.
+const formOf = (schedule) => ({
+    id: schedule.id,
+    name: schedule.name,
+    scheduleType: schedule.scheduleType,
+    cron: schedule.cron || EMPTY_FORM.cron,
+    intervalMinutes: String(schedule.intervalMinutes || EMPTY_FORM.intervalMinutes),
+    sourceUrl: schedule.sourceUrl,
+    sftpPassword: "",
+    hasPassword: schedule.hasPassword,
+    locationId: schedule.locationId,
+    matchKey: schedule.matchKey,
+    mode: schedule.mode,
+    conflictPolicy: schedule.conflictPolicy
+});
+
+// What a run did: the import job's counters once it has one.
+const describeRun = (run) => {
+    if (run.status === "FAILED") {
+        return run.error;
+    }
+    if (run.status === "RUNNING" || !run.job) {
+        return run.status === "RUNNING" ? "Fetching the file..." : "The import was deleted";
+    }
+    const { job } = run;
+    if (job.status === "FAILED") {
+        return `Import failed: ${job.error}`;
+    }
+    if (job.status !== "COMPLETED") {
+        return "Importing...";
+    }
+    return `${job.updatedRows} updated, ${job.skippedRows} skipped, ${job.conflictRows} conflicts, ${job.failedRows} failed`;
+};
+
+const runTone = (run) => {
+    if (run.status === "FAILED" || run.job?.status === "FAILED") {
+        return "critical";
+    }
+    return run.job?.status === "COMPLETED" ? (run.job.failedRows ? "warning" : "success") : undefined;
+};
+
+const isRunActive = (run) =>
+    run.status === "RUNNING" || run.job?.status === "PENDING" || run.job?.status === "RUNNING";
+
 export default function ScheduledImport() {
+    const shopify = useAppBridge();
+    const { locations, schedules, settings } = useLoaderData();
+    const fetcher = useFetcher();
+    const columnsFetcher = useFetcher();
+    const revalidator = useRevalidator();
+    const [form, setForm] = useState(null);
+    const [columns, setColumns] = useState(null);
+
+    const isSubmitting = fetcher.state !== "idle";
+    const hasActiveRuns = schedules.some((schedule) => schedule.runs.some(isRunActive));
+    const isSftp = form?.sourceUrl.trim().toLowerCase().startsWith("sftp:");
+
+    useEffect(() => {
+        if (fetcher.data?.error) {
+            shopify.toast.show(fetcher.data.error, { isError: true });
+        } else if (fetcher.data?.saved) {
+            shopify.toast.show("Schedule saved");
+            setForm(null);
+            setColumns(null);
+        } else if (fetcher.data?.message) {
+            shopify.toast.show(fetcher.data.message);
+        }
+    }, [fetcher.data, shopify]);
+
+    useEffect(() => {
+        if (columnsFetcher.data?.error) {
+            shopify.toast.show(columnsFetcher.data.error, { isError: true });
+        } else if (columnsFetcher.data?.columns) {
+            const { columnMapping, ...file } = columnsFetcher.data.columns;
+            setColumns({
+                ...file,
+                headerFields: Object.fromEntries(Object.entries(columnMapping).map(([key, header]) => [header, key]))
+            });
+        }
+    }, [columnsFetcher.data, shopify]);
+
+    // Runs move on in the import worker; the page follows them until they
+    // are done.
+    useEffect(() => {
+        if (!hasActiveRuns || revalidator.state !== "idle") {
+            return;
+        }
+        const timeout = setTimeout(() => revalidator.revalidate(), 3000);
+        return () => clearTimeout(timeout);
+    }, [hasActiveRuns, revalidator]);
+
+    const setField = (name) => (e) => setForm((current) => ({ ...current, [name]: e.target.value }));
+
+    const locationName = (id) =>
+        id === "ALL_LOCATIONS" ? "All Locations" : locations.find((location) => location.id === id)?.name || "Unknown location";
+
+    // A new schedule starts from the shop's settings.
+    const newForm = () => {
+        const { defaultLocationId } = settings;
+        const hasLocation = defaultLocationId === "ALL_LOCATIONS" || locations.some((location) => location.id === defaultLocationId);
+        return { ...EMPTY_FORM, locationId: hasLocation ? defaultLocationId : EMPTY_FORM.locationId, matchKey: settings.matchKey };
+    };
+
+    const openForm = (schedule) => {
+        setForm(schedule ? formOf(schedule) : newForm());
+        setColumns(null);
+    };
+
+    const handleReadColumns = () => {
+        columnsFetcher.submit(
+            { intent: "readColumns", id: form.id || "", sourceUrl: form.sourceUrl, sftpPassword: form.sftpPassword },
+            { method: "POST" }
+        );
+    };
+
+    const handleSave = () => {
+        const columnMapping = Object.fromEntries(
+            Object.entries(columns.headerFields).map(([header, key]) => [key, header])
+        );
+        fetcher.submit(
+            {
+                intent: "save",
+                ...form,
+                id: form.id || "",
+                headers: JSON.stringify(columns.headers),
+                columnMapping: JSON.stringify(columnMapping)
+            },
+            { method: "POST" }
+        );
+    };
+
+    const handleScheduleAction = (intent, schedule) => {
+        if (intent === "delete" && !window.confirm(`Delete the schedule "${schedule.name}" and its runs?`)) {
+            return;
+        }
+        fetcher.submit({ intent, id: schedule.id }, { method: "POST" });
+    };
+
     return (
         <s-page heading="Scheduled Import">
-            <s-box paddingBlockStart="large" paddingBlockEnd="large">
-                <s-section heading="Schedule your imports">
-                    <s-paragraph>
-                        The scheduled import feature is coming soon...
-                    </s-paragraph>
-                </s-section>
-            </s-box>
+            <s-button slot="primary-action" onClick={() => openForm(null)}>
+                New schedule
+            </s-button>
+
+            {form && (
+                <s-box paddingBlockStart="large">
+                    <s-section heading={form.id ? `Edit ${form.name}` : "New schedule"}>
+                        <s-text-field label="Name" value={form.name} onChange={setField("name")} />
+
+                        <s-select label="Run" value={form.scheduleType} onChange={setField("scheduleType")}>
+                            <s-option value={SCHEDULE_TYPES.CRON}>On a cron schedule</s-option>
+                            <s-option value={SCHEDULE_TYPES.INTERVAL}>Every few minutes or hours</s-option>
+                        </s-select>
+                        {form.scheduleType === SCHEDULE_TYPES.CRON ? (
+                            <s-text-field
+                                label="Cron expression"
+                                details="Minute, hour, day of month, month and day of week, in UTC. 0 2 * * * runs every night at 2:00."
+                                value={form.cron}
+                                onChange={setField("cron")}
+                            />
+                        ) : (
+                            <s-number-field
+                                label="Interval in minutes"
+                                min={5}
+                                step={1}
+                                value={form.intervalMinutes}
+                                onChange={setField("intervalMinutes")}
+                            />
+                        )}
+
+                        <s-text-field
+                            label="File address"
+                            details="An https:// URL, or sftp://user@host/path/file.csv for an SFTP server with its password entered below. Excel, CSV and TSV files can be read."
+                            value={form.sourceUrl}
+                            onChange={setField("sourceUrl")}
+                        />
+                        {isSftp && (
+                            <s-password-field
+                                label="SFTP password"
+                                details={form.hasPassword ? "Leave empty to keep the saved password. It has to be entered again when the server or user changes." : undefined}
+                                value={form.sftpPassword}
+                                onChange={setField("sftpPassword")}
+                            />
+                        )}
+
+                        <s-select label="Location" value={form.locationId} onChange={setField("locationId")}>
+                            <s-option value="SELECT_LOCATION" disabled>- Select -</s-option>
+                            <s-option value="ALL_LOCATIONS">All Locations</s-option>
+                            {locations.map((location) => (
+                                <s-option key={location.id} value={location.id}>
+                                    {location.name}
+                                </s-option>
+                            ))}
+                        </s-select>
+                        <s-select label="Match rows to variants by" value={form.matchKey} onChange={setField("matchKey")}>
+                            {Object.entries(MATCH_KEYS).map(([key, { label }]) => (
+                                <s-option key={key} value={key}>
+                                    {label}
+                                </s-option>
+                            ))}
+                        </s-select>
+                        <s-select label="Import mode" value={form.mode} onChange={setField("mode")}>
+                            <s-option value="SET">Set quantities to the file values</s-option>
+                            <s-option value="ADJUST">Adjust quantities by the file values (+/-)</s-option>
+                        </s-select>
+                        <s-select
+                            label="When stock changed since the file was exported"
+                            value={form.conflictPolicy}
+                            onChange={setField("conflictPolicy")}
+                        >
+                            <s-option value="SKIP">Skip the row and report a conflict</s-option>
+                            <s-option value="OVERWRITE">Overwrite with the file quantity</s-option>
+                            <s-option value="DELTA">Apply the change made in the file to the live stock</s-option>
+                        </s-select>
+
+                        <s-box paddingBlock="base">
+                            <s-button
+                                onClick={handleReadColumns}
+                                loading={columnsFetcher.state !== "idle" ? "true" : undefined}
+                                disabled={!form.sourceUrl.trim() ? "disabled" : undefined}
+                            >
+                                Read the file&apos;s columns
+                            </s-button>
+                        </s-box>
+
+                        {columns && (
+                            <s-box paddingBlockEnd="base">
+                                <s-paragraph>
+                                    {columns.fileName} has {columns.rowCount} rows. Choose what each column holds; every run reads its file the same way.
+                                </s-paragraph>
+                                <s-table>
+                                    <s-table-header-row>
+                                        <s-table-header>Column in file</s-table-header>
+                                        <s-table-header>Import as</s-table-header>
+                                    </s-table-header-row>
+                                    <s-table-body>
+                                        {columns.headers.map((header) => (
+                                            <s-table-row key={header}>
+                                                <s-table-cell>{header}</s-table-cell>
+                                                <s-table-cell>
+                                                    <s-select
+                                                        label={`Import ${header} as`}
+                                                        labelAccessibilityVisibility="exclusive"
+                                                        value={columns.headerFields[header] || ""}
+                                                        onChange={(e) => {
+                                                            const key = e.target.value;
+                                                            setColumns((current) => ({
+                                                                ...current,
+                                                                headerFields: Object.fromEntries([
+                                                                    ...Object.entries(current.headerFields).filter(([other, field]) => other !== header && field !== key),
+                                                                    ...(key ? [[header, key]] : [])
+                                                                ])
+                                                            }));
+                                                        }}
+                                                    >
+                                                        <s-option value="">Don&apos;t import</s-option>
+                                                        {IMPORT_FIELDS.map((field) => (
+                                                            <s-option key={field.key} value={field.key}>
+                                                                {field.label}
+                                                            </s-option>
+                                                        ))}
+                                                    </s-select>
+                                                </s-table-cell>
+                                            </s-table-row>
+                                        ))}
+                                    </s-table-body>
+                                </s-table>
+                            </s-box>
+                        )}
+
+                        <s-stack gap="base" direction="inline">
+                            <s-button
+                                variant="primary"
+                                onClick={handleSave}
+                                loading={isSubmitting ? "true" : undefined}
+                                disabled={!columns ? "disabled" : undefined}
+                            >
+                                Save schedule
+                            </s-button>
+                            <s-button onClick={() => setForm(null)}>
+                                Cancel
+                            </s-button>
+                        </s-stack>
+                    </s-section>
+                </s-box>
+            )}
+
+            {schedules.length === 0 && !form && (
+                <s-box paddingBlockStart="large" paddingBlockEnd="large">
+                    <s-section heading="Schedule your imports">
+                        <s-paragraph>
+                            Import a stock file from your supplier&apos;s server on a schedule. Each run fetches the file and imports it like a file uploaded on the import page.
+                        </s-paragraph>
+                        <s-button onClick={() => openForm(null)}>New schedule</s-button>
+                    </s-section>
+                </s-box>
+            )}
+
+            {schedules.map((schedule) => (
+                <s-box key={schedule.id} paddingBlockStart="large">
+                    <s-section heading={schedule.name}>
+                        <s-stack gap="200" direction="block">
+                            <s-text as="p">
+                                {describeSchedule(schedule)} from {schedule.sourceUrl} into {locationName(schedule.locationId)}
+                            </s-text>
+                            <s-text as="p" tone="subdued">
+                                {schedule.enabled && schedule.nextRunAt
+                                    ? `Next run ${new Date(schedule.nextRunAt).toLocaleString()}`
+                                    : "Paused"}
+                            </s-text>
+                        </s-stack>
+
+                        <s-box paddingBlock="base">
+                            <s-stack gap="base" direction="inline">
+                                <s-button onClick={() => handleScheduleAction("run", schedule)} disabled={isSubmitting ? "disabled" : undefined}>
+                                    Run now
+                                </s-button>
+                                <s-button onClick={() => openForm(schedule)}>
+                                    Edit
+                                </s-button>
+                                <s-button onClick={() => handleScheduleAction("toggle", schedule)}>
+                                    {schedule.enabled ? "Pause" : "Resume"}
+                                </s-button>
+                                <s-button tone="critical" onClick={() => handleScheduleAction("delete", schedule)}>
+                                    Delete
+                                </s-button>
+                            </s-stack>
+                        </s-box>
+
+                        {schedule.runs.length > 0 ? (
+                            <s-table>
+                                <s-table-header-row>
+                                    <s-table-header>Started</s-table-header>
+                                    <s-table-header>File</s-table-header>
+                                    <s-table-header>Result</s-table-header>
+                                </s-table-header-row>
+                                <s-table-body>
+                                    {schedule.runs.map((run) => (
+                                        <s-table-row key={run.id}>
+                                            <s-table-cell>{new Date(run.startedAt).toLocaleString()}</s-table-cell>
+                                            <s-table-cell>{run.fileName || "-"}</s-table-cell>
+                                            <s-table-cell>
+                                                <s-badge tone={runTone(run)}>{describeRun(run)}</s-badge>
+                                            </s-table-cell>
+                                        </s-table-row>
+                                    ))}
+                                </s-table-body>
+                            </s-table>
+                        ) : (
+                            <s-paragraph>No runs yet.</s-paragraph>
+                        )}
+                    </s-section>
+                </s-box>
+            ))}
         </s-page>
     );
 }
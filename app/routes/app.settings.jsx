@@ -1,13 +1,165 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getShopSettings, saveShopSettings } from "../models/shopSettings.server";
+import { renderImportOptionFields } from "../components/importOptions";
+import { renderColumnPicker } from "../components/exportOptions";
+import { cleanExportColumns } from "../utils/exportColumns";
+import { optionOf, readJsonField } from "../utils/formFields";
+import { MATCH_KEYS } from "../utils/importColumns";
+import { readImportOptions } from "../utils/importOptions";
+import { SPREADSHEET_FORMATS } from "../utils/spreadsheet";
+
+export const loader = async ({ request }) => {
+    const { admin, session } = await authenticate.admin(request);
+
+    const response = await admin.graphql(
+        `#graphql
+        query getLocations {
+            locations(first: 250, includeLegacy: true, includeInactive: true) {
+                nodes {
+                    id
+                    name
+                }
+            }
+        }`
+    );
+    const data = await response.json();
+
+    return {
+        locations: data.data?.locations?.nodes || [],
+        settings: await getShopSettings(session.shop)
+    };
+};
+
+export const action = async ({ request }) => {
+    const { session } = await authenticate.admin(request);
+
+    const formData = await request.formData();
+    const settings = await getShopSettings(session.shop);
+
+    const exportColumns = cleanExportColumns(readJsonField(formData, "exportColumns", []));
+    if (exportColumns.length === 0) {
+        return { success: false, error: "Choose at least one column to export" };
+    }
+
+    await saveShopSettings(session.shop, {
+        defaultLocationId: String(formData.get("defaultLocationId") || "") || null,
+        matchKey: optionOf(MATCH_KEYS, formData.get("matchKey"), settings.matchKey),
+        ...readImportOptions(formData, settings),
+        exportFormat: optionOf(SPREADSHEET_FORMATS, formData.get("exportFormat"), settings.exportFormat),
+        exportColumns
+    });
+
+    return { success: true };
+};
+
+// The settings as form values; the columns have their own state.
+const formOf = (settings) => ({
+    defaultLocationId: settings.defaultLocationId || "",
+    matchKey: settings.matchKey,
+    duplicateRows: settings.duplicateRows,
+    blankQuantity: settings.blankQuantity,
+    adjustmentReason: settings.adjustmentReason,
+    exportFormat: settings.exportFormat
+});
+
 export default function Settings() {
-  return (
-    <s-page heading="Settings">
-      <s-box paddingBlockStart="large" paddingBlockEnd="large">
-        <s-section heading="Additional settings">
-          <s-paragraph>
-            The app is still in progress...
-          </s-paragraph>
-        </s-section>
-      </s-box>
-    </s-page>
-  );
+    const shopify = useAppBridge();
+    const { locations, settings } = useLoaderData();
+    const fetcher = useFetcher();
+    const [form, setForm] = useState(() => formOf(settings));
+    const [columns, setColumns] = useState(settings.exportColumns);
+
+    const isSubmitting = fetcher.state !== "idle";
+
+    useEffect(() => {
+        if (fetcher.data?.error) {
+            shopify.toast.show(fetcher.data.error, { isError: true });
+        } else if (fetcher.data?.success) {
+            shopify.toast.show("Settings saved");
+        }
+    }, [fetcher.data, shopify]);
+
+    const setOption = (name, value) => setForm((current) => ({ ...current, [name]: value }));
+    const setField = (name) => (e) => setOption(name, e.target.value);
+
+    // A location that no longer exists reads as no default.
+    const hasLocation = form.defaultLocationId === "ALL_LOCATIONS" || locations.some((location) => location.id === form.defaultLocationId);
+
+    const handleSave = () => {
+        fetcher.submit(
+            { ...form, defaultLocationId: hasLocation ? form.defaultLocationId : "", exportColumns: JSON.stringify(columns) },
+            { method: "POST" }
+        );
+    };
+
+    return (
+        <s-page heading="Settings">
+            <s-button
+                slot="primary-action"
+                onClick={handleSave}
+                loading={isSubmitting ? "true" : undefined}
+                disabled={!columns.length ? "disabled" : undefined}
+            >
+                Save
+            </s-button>
+
+            <s-box paddingBlockStart="large">
+                <s-section heading="Imports and exports">
+                    <s-paragraph>
+                        The import and export pages and new schedules start from these choices, which can still be changed for each import or export.
+                    </s-paragraph>
+
+                    <s-select
+                        label="Default location"
+                        value={hasLocation ? form.defaultLocationId : ""}
+                        onChange={setField("defaultLocationId")}
+                    >
+                        <s-option value="">No default</s-option>
+                        <s-option value="ALL_LOCATIONS">All Locations</s-option>
+                        {locations.map((location) => (
+                            <s-option key={location.id} value={location.id}>
+                                {location.name}
+                            </s-option>
+                        ))}
+                    </s-select>
+                </s-section>
+            </s-box>
+
+            <s-box paddingBlockStart="large">
+                <s-section heading="Imports">
+                    <s-paragraph>
+                        Scheduled imports handle duplicate rows, blank quantities and the adjustment reason as set here when they run.
+                    </s-paragraph>
+
+                    <s-select label="Match rows to variants by" value={form.matchKey} onChange={setField("matchKey")}>
+                        {Object.entries(MATCH_KEYS).map(([key, { label }]) => (
+                            <s-option key={key} value={key}>
+                                {label}
+                            </s-option>
+                        ))}
+                    </s-select>
+
+                    {renderImportOptionFields(form, setOption)}
+                </s-section>
+            </s-box>
+
+            <s-box paddingBlockStart="large" paddingBlockEnd="large">
+                <s-section heading="Exports">
+                    <s-select label="File format" value={form.exportFormat} onChange={setField("exportFormat")}>
+                        {Object.entries(SPREADSHEET_FORMATS).map(([key, format]) => (
+                            <s-option key={key} value={key}>
+                                {format.label}
+                            </s-option>
+                        ))}
+                    </s-select>
+
+                    <s-heading>Columns</s-heading>
+                    {renderColumnPicker(columns, setColumns)}
+                </s-section>
+            </s-box>
+        </s-page>
+    );
 }
@@ -0,0 +1,34 @@
+const MAX_ATTEMPTS = 5;
+
+function isThrottled(error) {
+  const graphQLErrors = error?.body?.errors?.graphQLErrors || [];
+  return graphQLErrors.some((graphQLError) => graphQLError.extensions?.code === "THROTTLED");
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs an Admin API query and returns its `data`. Batched calls can exhaust
+// the query cost bucket, so throttled requests are retried with a growing
+// delay instead of failing the whole batch.
+export async function adminGraphql(admin, query, variables) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await admin.graphql(query, variables ? { variables } : undefined);
+      const { data } = await response.json();
+      return data;
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS || !isThrottled(error)) {
+        throw error;
+      }
+      await sleep(attempt * 1000);
+    }
+  }
+}
+
+// Builds an OR-ed search query such as `sku:"A-1" OR sku:"B 2"`. Values are
+// quoted so that spaces and colons in them are not read as search syntax.
+export function searchQueryForValues(field, values) {
+  return values
+    .map((value) => `${field}:"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`)
+    .join(" OR ");
+}
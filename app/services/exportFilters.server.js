@@ -0,0 +1,94 @@
+import { searchQueryForValues } from "./adminGraphql.server";
+import { PRODUCT_STATUSES } from "../utils/importColumns";
+
+// Export filters, turned into a `productVariants` search query so that
+// Shopify only collects the variants that are wanted.
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function wholeNumber(value) {
+  const number = text(value) === "" ? NaN : Number(value);
+  return Number.isInteger(number) ? number : null;
+}
+
+// Reads the filters posted by the export page. Blank fields are left out, so
+// an export without filters has `{}`.
+export function parseExportFilters(formData) {
+  const filters = {};
+
+  const status = text(formData.get("status")).toUpperCase();
+  if (PRODUCT_STATUSES.includes(status)) {
+    filters.status = status;
+  }
+  for (const name of ["vendor", "productType", "skuPrefix"]) {
+    if (text(formData.get(name))) {
+      filters[name] = text(formData.get(name));
+    }
+  }
+
+  const tags = text(formData.get("tags"))
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+  if (tags.length > 0) {
+    filters.tags = tags;
+  }
+
+  const collectionId = text(formData.get("collectionId"));
+  if (/^gid:\/\/shopify\/Collection\/\d+$/.test(collectionId)) {
+    filters.collectionId = collectionId;
+  }
+
+  const inventoryBelow = wholeNumber(formData.get("inventoryBelow"));
+  if (inventoryBelow !== null) {
+    filters.inventoryBelow = inventoryBelow;
+  }
+  const inventoryAbove = wholeNumber(formData.get("inventoryAbove"));
+  if (inventoryAbove !== null) {
+    filters.inventoryAbove = inventoryAbove;
+  }
+
+  return filters;
+}
+
+// A prefix search only works on an unquoted term, so the characters that
+// mean something in search syntax are escaped instead.
+function escapeTerm(value) {
+  return value.replace(/[\\:()"'\s]/g, (char) => `\\${char}`);
+}
+
+// Returns the search query for the filters, or null for no filters. Terms are
+// ANDed; several tags match a product with any of them. Inventory limits are
+// on the variant's total available quantity.
+export function exportSearchQuery(filters = {}) {
+  const terms = [];
+
+  if (filters.status) {
+    terms.push(`product_status:${filters.status.toLowerCase()}`);
+  }
+  if (filters.vendor) {
+    terms.push(searchQueryForValues("vendor", [filters.vendor]));
+  }
+  if (filters.productType) {
+    terms.push(searchQueryForValues("product_type", [filters.productType]));
+  }
+  if (filters.tags?.length) {
+    terms.push(`(${searchQueryForValues("tag", filters.tags)})`);
+  }
+  if (filters.collectionId) {
+    terms.push(`collection:${filters.collectionId.split("/").pop()}`);
+  }
+  if (filters.inventoryBelow !== undefined) {
+    terms.push(`inventory_quantity:<${filters.inventoryBelow}`);
+  }
+  if (filters.inventoryAbove !== undefined) {
+    terms.push(`inventory_quantity:>${filters.inventoryAbove}`);
+  }
+  if (filters.skuPrefix) {
+    terms.push(`sku:${escapeTerm(filters.skuPrefix)}*`);
+  }
+
+  return terms.length > 0 ? terms.join(" AND ") : null;
+}
@@ -0,0 +1,31 @@
+import { createExportJob } from "../models/exportJob.server";
+import { claimExportSchedule, getDueExportSchedules } from "../models/exportSchedule.server";
+import { wakeExportWorker } from "./exportWorker.server";
+import { nextRunTime } from "../utils/schedule";
+
+// Runs scheduled exports, as scheduler.server.js finds them due. Each run
+// queues an ordinary export job for the schedule; the job's file is the
+// run's file, kept until the schedule has more than it keeps.
+
+export async function runDueExportSchedules(now) {
+  for (const schedule of await getDueExportSchedules(now)) {
+    if (await claimExportSchedule(schedule, nextRunTime(schedule, now))) {
+      await runExportSchedule(schedule);
+    }
+  }
+}
+
+// Queues the schedule's export. Also used by "Run now".
+export async function runExportSchedule(schedule) {
+  const job = await createExportJob({
+    shop: schedule.shop,
+    locationId: schedule.locationId,
+    format: schedule.format,
+    layout: schedule.layout,
+    filters: schedule.filters,
+    columns: schedule.columns,
+    scheduleId: schedule.id,
+  });
+  wakeExportWorker();
+  return job;
+}
@@ -0,0 +1,111 @@
+import { unauthenticated } from "../shopify.server";
+import {
+  claimNextExportJob,
+  completeExportJob,
+  failExportJob,
+  pruneExportHistory,
+  requeueStaleExportJobs,
+  saveExportJobProgress,
+} from "../models/exportJob.server";
+import { pruneScheduledExports } from "../models/exportSchedule.server";
+import { exportSearchQuery } from "./exportFilters.server";
+import {
+  buildExportSheets,
+  countCatalog,
+  readBulkResults,
+  startBulkExport,
+  waitForBulkOperation,
+  writeExportFile,
+} from "./productExport.server";
+
+// Same setup as the import worker: one loop per process, kept on `global` so
+// the dev server does not start a second one. Exports have their own queue so
+// that a long import does not hold them up.
+const worker = global.exportWorker ?? { started: false, running: false, wakeAgain: false, jobId: null };
+global.exportWorker = worker;
+
+// Same as for imports: exports another instance left running are looked for
+// while this one runs, not only when it starts.
+const REQUEUE_INTERVAL_MS = 60 * 1000;
+
+export function startExportWorker() {
+  if (worker.started) {
+    return;
+  }
+  worker.started = true;
+
+  requeueStaleExportJobs()
+    .catch((error) => console.error("Failed to requeue export jobs", error))
+    .finally(wakeExportWorker);
+
+  setInterval(() => {
+    requeueStaleExportJobs(worker.jobId)
+      .then((count) => count > 0 && wakeExportWorker())
+      .catch((error) => console.error("Failed to requeue export jobs", error));
+  }, REQUEUE_INTERVAL_MS).unref();
+}
+
+export function wakeExportWorker() {
+  if (worker.running) {
+    worker.wakeAgain = true;
+    return;
+  }
+
+  worker.running = true;
+  drainQueue()
+    .catch((error) => console.error("Export worker stopped", error))
+    .finally(() => {
+      worker.running = false;
+      if (worker.wakeAgain) {
+        worker.wakeAgain = false;
+        wakeExportWorker();
+      }
+    });
+}
+
+async function drainQueue() {
+  let job;
+  while ((job = await claimNextExportJob())) {
+    worker.jobId = job.id;
+    try {
+      await runExportJob(job);
+    } catch (error) {
+      console.error(`Export job ${job.id} failed`, error);
+      await failExportJob(job.id, error.message);
+      await pruneHistoryOf(job).catch((pruneError) => console.error("Failed to prune export history", pruneError));
+    } finally {
+      worker.jobId = null;
+    }
+  }
+}
+
+// A failed export prunes the history too, or failed runs would pile up; they
+// are counted apart from the files (see pruneExportHistory).
+function pruneHistoryOf(job) {
+  return job.scheduleId ? pruneScheduledExports(job.shop, job.scheduleId) : pruneExportHistory(job.shop);
+}
+
+// The bulk operation id is saved as soon as it exists, so a resumed job
+// waits for the operation it already started instead of starting another.
+async function runExportJob(job) {
+  const { admin } = await unauthenticated.admin(job.shop);
+
+  let bulkOperationId = job.bulkOperationId;
+  if (!bulkOperationId) {
+    const search = exportSearchQuery(job.filters || {});
+    const counts = await countCatalog(admin, search);
+    bulkOperationId = await startBulkExport(admin, search);
+    await saveExportJobProgress(job.id, { ...counts, bulkOperationId });
+  }
+
+  const operation = await waitForBulkOperation(admin, bulkOperationId, (objectCount) =>
+    saveExportJobProgress(job.id, { objectCount }),
+  );
+  await saveExportJobProgress(job.id, { objectCount: Number(operation.objectCount || 0) });
+
+  const sheets = await buildExportSheets(readBulkResults(operation.url), job);
+  const rowCount = sheets.reduce((count, sheet) => count + sheet.rows.length, 0);
+  const { fileName, file } = await writeExportFile(sheets, job);
+  await completeExportJob(job.id, { rowCount, fileName, file });
+  await pruneHistoryOf(job);
+}
@@ -0,0 +1,60 @@
+// Outcome of an import as shown on the import page: counters plus the
+// updated, created, activated, conflicting, failed and skipped rows in their
+// original sheet layout with the quantities before and after, or the reason,
+// appended.
+
+export function createImportResults(total) {
+  return {
+    total,
+    updated: 0,
+    pricesUpdated: 0,
+    productsUpdated: 0,
+    created: 0,
+    activated: 0,
+    errors: [],
+    updatedRows: [],
+    activatedRows: [],
+    createdRows: [],
+    conflictRows: [],
+    failedRows: [],
+    skippedRows: [],
+  };
+}
+
+export function recordFailure(results, row, reason, message) {
+  results.errors.push(message);
+  results.failedRows.push({ ...row, "Error Reason": reason });
+}
+
+// A row held back because the stock changed since the sheet was exported.
+export function recordConflict(results, row, reason) {
+  results.conflictRows.push({ ...row, Conflict: reason });
+}
+
+export function recordSkip(results, row, reason) {
+  results.skippedRows.push({ ...row, Reason: reason });
+}
+
+export function recordUpdate(results, change, quantityAfter) {
+  results.updated++;
+  results.updatedRows.push({
+    ...change.row,
+    Before: quantityAfter - (change.quantity - change.currentQuantity),
+    After: quantityAfter,
+  });
+}
+
+// A row whose variant was stocked at its location by the import.
+export function recordActivation(results, activation) {
+  results.activated++;
+  results.activatedRows.push({
+    ...activation.row,
+    After: activation.quantity,
+    Tracking: activation.tracked ? "Already on" : "Turned on",
+  });
+}
+
+// A row whose variant was created by the import, with the IDs it got.
+export function recordCreation(results, row, productId, variantId) {
+  results.createdRows.push({ ...row, "Product ID": productId, "Variant ID": variantId || "" });
+}
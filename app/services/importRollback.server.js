@@ -0,0 +1,394 @@
+import { adminGraphql } from "./adminGraphql.server";
+import { deactivateLevel, untrackItem } from "./inventoryActivation.server";
+import { deleteProduct } from "./productCreation.server";
+import { entryIndexOf, liveQuantities, moveQuantities, quantityKey, setQuantities } from "./inventoryImport.server";
+import { groupByProduct, pricesMatch, updateVariantPrices } from "./priceImport.server";
+import { productMatches, updateProduct } from "./productImport.server";
+import { QUANTITY_NAMES } from "../utils/importColumns";
+
+// Undoing an import works from its journal of applied changes. Every entry is
+// only put back when the value is still the one the import wrote; anything
+// that moved since (a sale, a later import, an edit in the admin) is left
+// alone and reported instead.
+
+export function createRollbackResults(total) {
+  return {
+    total,
+    reverted: 0,
+    failedRows: [],
+  };
+}
+
+// Sends reverts in one call, leaving out the entries Shopify rejects and
+// trying the rest again, as the import does.
+async function sendReverts(admin, pending, outcomes, mutate, listName) {
+  while (pending.length > 0) {
+    const { userErrors } = await mutate(admin, pending);
+    if (userErrors.length === 0) {
+      for (const change of pending) {
+        outcomes.set(change.id, null);
+      }
+      return;
+    }
+
+    const rejected = new Map();
+    for (const userError of userErrors) {
+      const index = entryIndexOf(userError, listName);
+      if (index !== null && pending[index] && !rejected.has(index)) {
+        rejected.set(index, userError);
+      }
+    }
+
+    if (rejected.size === 0) {
+      for (const change of pending) {
+        outcomes.set(change.id, userErrors[0].message);
+      }
+      return;
+    }
+
+    for (const [index, { message, code }] of rejected) {
+      outcomes.set(
+        pending[index].id,
+        code === "COMPARE_QUANTITY_STALE" ? "Stock changed since the import" : message,
+      );
+    }
+    pending = pending.filter((_, index) => !rejected.has(index));
+  }
+}
+
+// Entries from before quantity names existed wrote available.
+const nameOf = (change) => change.after.name || "available";
+
+// The import's quantity is the compare quantity, so Shopify itself rejects a
+// level that changed since.
+async function revertSets(admin, changes, outcomes) {
+  const pending = changes.map((change) => ({
+    id: change.id,
+    inventoryItemId: change.inventoryItemId,
+    locationId: change.locationId,
+    quantityName: nameOf(change),
+    quantity: change.before.quantity,
+    compareQuantity: change.after.quantity,
+  }));
+
+  await sendReverts(admin, pending, outcomes, setQuantities, "quantities");
+}
+
+// Moves have no compare quantity, so the current quantities are read first
+// and only the levels still at what the import left are moved back.
+async function revertMoves(admin, changes, outcomes, documentUri) {
+  const name = nameOf(changes[0]);
+  const pending = [];
+
+  for (const locationId of new Set(changes.map((change) => change.locationId))) {
+    const atLocation = changes.filter((change) => change.locationId === locationId);
+    const data = await adminGraphql(
+      admin,
+      `#graphql
+      query revertedQuantities($ids: [ID!]!, $locationId: ID!, $names: [String!]!) {
+        nodes(ids: $ids) {
+          ... on InventoryItem {
+            id
+            inventoryLevel(locationId: $locationId) {
+              quantities(names: $names) {
+                name
+                quantity
+              }
+            }
+          }
+        }
+      }`,
+      { ids: atLocation.map((change) => change.inventoryItemId), locationId, names: [name] },
+    );
+    const levels = new Map((data?.nodes || []).filter(Boolean).map((item) => [item.id, item.inventoryLevel]));
+
+    for (const change of atLocation) {
+      const level = levels.get(change.inventoryItemId);
+      const current = level?.quantities.find((quantity) => quantity.name === name)?.quantity;
+      if (!level) {
+        outcomes.set(change.id, "The item is no longer stocked at this location");
+      } else if (current !== change.after.quantity) {
+        outcomes.set(change.id, "Stock changed since the import");
+      } else {
+        pending.push({
+          id: change.id,
+          inventoryItemId: change.inventoryItemId,
+          locationId,
+          quantityName: name,
+          currentQuantity: change.after.quantity,
+          quantity: change.before.quantity,
+        });
+      }
+    }
+  }
+
+  await sendReverts(admin, pending, outcomes, (client, batch) => moveQuantities(client, batch, documentUri), "changes");
+}
+
+async function revertQuantities(admin, changes, outcomes, { documentUri }) {
+  for (const name of new Set(changes.map(nameOf))) {
+    const ofName = changes.filter((change) => nameOf(change) === name);
+    if (QUANTITY_NAMES[name].mutation === "MOVE") {
+      await revertMoves(admin, ofName, outcomes, documentUri);
+    } else {
+      await revertSets(admin, ofName, outcomes);
+    }
+  }
+}
+
+// A level the import activated is only removed again while it still holds
+// what the import put there.
+async function revertActivations(admin, changes, outcomes) {
+  if (changes.length === 0) {
+    return;
+  }
+
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    query activatedLevels($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on InventoryLevel {
+          id
+          quantities(names: ["available", "on_hand"]) {
+            name
+            quantity
+          }
+        }
+      }
+    }`,
+    { ids: changes.map((change) => change.after.levelId) },
+  );
+  const levels = new Map((data?.nodes || []).filter(Boolean).map((level) => [level.id, level]));
+
+  for (const change of changes) {
+    const level = levels.get(change.after.levelId);
+    const current = level?.quantities.find((quantity) => quantity.name === change.after.name)?.quantity;
+    if (!level) {
+      outcomes.set(change.id, "The item is no longer stocked at this location");
+    } else if (current !== change.after.quantity) {
+      outcomes.set(change.id, "Stock changed since the import");
+    } else {
+      outcomes.set(change.id, await deactivateLevel(admin, change));
+    }
+  }
+}
+
+// Prices have no compare-and-set, so the current prices are read first.
+async function revertPrices(admin, changes, outcomes) {
+  if (changes.length === 0) {
+    return;
+  }
+
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    query variantPrices($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant {
+          id
+          price
+          compareAtPrice
+        }
+      }
+    }`,
+    { ids: changes.map((change) => change.variantId) },
+  );
+  const variants = new Map((data?.nodes || []).filter(Boolean).map((variant) => [variant.id, variant]));
+
+  const revertible = [];
+  for (const change of changes) {
+    const variant = variants.get(change.variantId);
+    if (!variant) {
+      outcomes.set(change.id, "Variant no longer exists");
+    } else if (!pricesMatch(variant, change.after)) {
+      outcomes.set(change.id, "Price changed since the import");
+    } else {
+      revertible.push({
+        id: change.id,
+        productId: change.productId,
+        variantId: change.variantId,
+        price: change.before.price,
+        compareAtPrice: change.before.compareAtPrice,
+      });
+    }
+  }
+
+  for (const [productId, productChanges] of groupByProduct(revertible)) {
+    const rejected = await updateVariantPrices(admin, productId, productChanges);
+    productChanges.forEach((change, index) => {
+      outcomes.set(change.id, rejected.get(index) ?? rejected.get("all") ?? null);
+    });
+  }
+}
+
+// Product fields have no compare-and-set either; a product is only put back
+// while it still has every value the import wrote.
+async function revertProducts(admin, changes, outcomes) {
+  if (changes.length === 0) {
+    return;
+  }
+
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    query importedProducts($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          title
+          status
+          vendor
+          productType
+          tags
+          descriptionHtml
+        }
+      }
+    }`,
+    { ids: changes.map((change) => change.productId) },
+  );
+  const products = new Map((data?.nodes || []).filter(Boolean).map((product) => [product.id, product]));
+
+  for (const change of changes) {
+    const product = products.get(change.productId);
+    if (!product) {
+      outcomes.set(change.id, "Product no longer exists");
+    } else if (!productMatches(product, change.after)) {
+      outcomes.set(change.id, "Product changed since the import");
+    } else {
+      outcomes.set(change.id, await updateProduct(admin, change.productId, change.before));
+    }
+  }
+}
+
+// Whether a created product is still what the import made: its title and
+// status, and only the variants it created with their SKUs and prices.
+const createdProductMatches = (product, after, variants) =>
+  product.title === after.title &&
+  product.status === after.status &&
+  product.variantsCount?.count === after.variants.length &&
+  after.variants.every((written) => {
+    const variant = variants.get(written.id);
+    return Boolean(variant) && (variant.sku || "") === (written.sku || "") && pricesMatch(variant, written);
+  });
+
+const createdStockMatches = (after, live) =>
+  (after.variants || []).every((variant) =>
+    variant.quantities.every(
+      ({ locationId, name, quantity }) => live.get(quantityKey(variant.inventoryItemId, locationId, name)) === quantity,
+    ),
+  );
+
+// A product the import created is deleted again while it is still what the
+// import made and keeps the stock it was given. Entries journaled before the
+// variants were kept can only compare the product's last update.
+async function revertCreations(admin, changes, outcomes) {
+  if (changes.length === 0) {
+    return;
+  }
+
+  const written = changes.flatMap((change) => change.after.variants || []);
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    query createdProducts($ids: [ID!]!, $variantIds: [ID!]!) {
+      products: nodes(ids: $ids) {
+        ... on Product {
+          id
+          title
+          status
+          updatedAt
+          variantsCount {
+            count
+          }
+        }
+      }
+      variants: nodes(ids: $variantIds) {
+        ... on ProductVariant {
+          id
+          sku
+          price
+          compareAtPrice
+        }
+      }
+    }`,
+    { ids: changes.map((change) => change.productId), variantIds: written.map((variant) => variant.id) },
+  );
+  const products = new Map((data?.products || []).filter(Boolean).map((product) => [product.id, product]));
+  const variants = new Map((data?.variants || []).filter(Boolean).map((variant) => [variant.id, variant]));
+  const live = await liveQuantities(
+    admin,
+    written.flatMap((variant) =>
+      variant.quantities.map(({ locationId }) => ({ inventoryItemId: variant.inventoryItemId, locationId })),
+    ),
+  );
+
+  for (const change of changes) {
+    const product = products.get(change.productId);
+    const unchanged = change.after.variants
+      ? product && createdProductMatches(product, change.after, variants)
+      : product?.updatedAt === change.after.updatedAt;
+    if (!product) {
+      outcomes.set(change.id, "Product no longer exists");
+    } else if (!unchanged) {
+      outcomes.set(change.id, "Product changed since the import");
+    } else if (!createdStockMatches(change.after, live)) {
+      outcomes.set(change.id, "Stock changed since the import");
+    } else {
+      outcomes.set(change.id, await deleteProduct(admin, change.productId));
+    }
+  }
+}
+
+// Tracking comes after the rest of the journal (see getPendingImportChanges),
+// and stays on for an item still stocked at a location the import activated.
+async function revertTrackings(admin, changes, outcomes, { keptItems }) {
+  for (const change of changes) {
+    if (keptItems.has(change.inventoryItemId)) {
+      outcomes.set(change.id, "Tracking stays on, as the item is still stocked at a location the undo could not remove");
+    } else {
+      outcomes.set(change.id, await untrackItem(admin, change).catch((error) => error.message));
+    }
+  }
+}
+
+const reverters = {
+  CREATION: revertCreations,
+  ACTIVATION: revertActivations,
+  QUANTITY: revertQuantities,
+  PRICE: revertPrices,
+  PRODUCT: revertProducts,
+  TRACKING: revertTrackings,
+};
+
+// Reverts a batch of journal entries, adds the outcome to `results` and
+// returns `{ id, error }` per entry. Rows that could not be reverted are
+// listed in their original sheet layout with the reason appended.
+// `documentUri` names the import for moves back out of a quantity state;
+// `keptItems` are the items whose activations could not all be undone.
+export async function revertChanges(admin, changes, rows, results, { documentUri, keptItems = new Set() } = {}) {
+  const outcomes = new Map();
+
+  for (const [kind, revert] of Object.entries(reverters)) {
+    const ofKind = changes.filter((change) => change.kind === kind);
+    try {
+      await revert(admin, ofKind, outcomes, { documentUri, keptItems });
+    } catch (error) {
+      for (const change of ofKind) {
+        if (!outcomes.has(change.id)) {
+          outcomes.set(change.id, error.message);
+        }
+      }
+    }
+  }
+
+  return changes.map((change) => {
+    const error = outcomes.has(change.id) ? outcomes.get(change.id) : "This change cannot be undone";
+    if (error) {
+      results.failedRows.push({ ...rows[change.rowIndex], "Undo Error": error });
+    } else {
+      results.reverted++;
+    }
+    return { id: change.id, error };
+  });
+}
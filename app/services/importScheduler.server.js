@@ -0,0 +1,96 @@
+import { unauthenticated } from "../shopify.server";
+import { createImportJob } from "../models/importJob.server";
+import {
+  claimImportSchedule,
+  createImportScheduleRun,
+  finishImportScheduleRun,
+  getDueImportSchedules,
+  SCHEDULE_RUN_STATUS,
+} from "../models/importSchedule.server";
+import { getShopSettings } from "../models/shopSettings.server";
+import { fetchSourceFile } from "./importSource.server";
+import { wakeImportWorker } from "./importWorker.server";
+import { checkColumnMapping, cleanColumnMapping, hasPivotColumns } from "../utils/importColumns";
+import { readSpreadsheet } from "../utils/spreadsheet";
+import { nextRunTime } from "../utils/schedule";
+
+// Runs scheduled imports, as scheduler.server.js finds them due. Each run
+// fetches the schedule's file, which becomes an ordinary import job that the
+// import worker applies with the shop's offline session like any other. A run
+// keeps the file it got and the job, or why it failed. How duplicate rows,
+// blank quantities and the adjustment reason are handled comes from the
+// shop's settings at the time of the run.
+
+// Moves each due schedule on to its next run before running it.
+export async function runDueImportSchedules(now) {
+  for (const schedule of await getDueImportSchedules(now)) {
+    if (await claimImportSchedule(schedule, nextRunTime(schedule, now))) {
+      await runImportSchedule(schedule);
+    }
+  }
+}
+
+// Fetches the schedule's file and queues it as an import. Also used by "Run
+// now", which records who ran it. Returns the run's outcome.
+export async function runImportSchedule(schedule, user = null) {
+  const run = await createImportScheduleRun(schedule.id);
+  let file = null;
+
+  try {
+    // Without an offline session the app is no longer installed, and the job
+    // could not be applied anyway.
+    await unauthenticated.admin(schedule.shop).catch(() => {
+      throw new Error("The app has no access to the store. Open the app in the Shopify admin to restore it.");
+    });
+
+    file = await fetchSourceFile(schedule);
+    const { headers, rows } = await readSpreadsheet(file.fileName, file.buffer);
+    if (rows.length === 0) {
+      throw new Error("The file has no rows");
+    }
+
+    const columnMapping = cleanColumnMapping(schedule.columnMapping || {}, headers);
+    const mappingError = checkColumnMapping(columnMapping, {
+      isAllLocationsMode: schedule.locationId === "ALL_LOCATIONS",
+      matchKey: schedule.matchKey,
+      isPivot: hasPivotColumns(headers),
+    });
+    if (mappingError) {
+      throw new Error(`The columns of the file do not match the schedule: ${mappingError}`);
+    }
+
+    const settings = await getShopSettings(schedule.shop);
+    const job = await createImportJob({
+      shop: schedule.shop,
+      fileName: file.fileName,
+      locationId: schedule.locationId,
+      mode: schedule.mode,
+      conflictPolicy: schedule.conflictPolicy,
+      matchKey: schedule.matchKey,
+      duplicateRows: settings.duplicateRows,
+      blankQuantity: settings.blankQuantity,
+      adjustmentReason: settings.adjustmentReason,
+      columnMapping,
+      headers,
+      rows,
+      preview: false,
+      user,
+    });
+    wakeImportWorker();
+
+    return finishImportScheduleRun(run.id, {
+      status: SCHEDULE_RUN_STATUS.QUEUED,
+      fileName: file.fileName,
+      fileSize: file.buffer.length,
+      jobId: job.id,
+    });
+  } catch (error) {
+    console.error(`Scheduled import ${schedule.id} failed`, error);
+    return finishImportScheduleRun(run.id, {
+      status: SCHEDULE_RUN_STATUS.FAILED,
+      fileName: file?.fileName,
+      fileSize: file?.buffer.length,
+      error: error.message,
+    });
+  }
+}
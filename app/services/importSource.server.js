@@ -0,0 +1,271 @@
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import SftpClient from "ssh2-sftp-client";
+
+// Where a scheduled import gets its file: an HTTPS URL, or an SFTP URL such
+// as sftp://user@host:22/exports/stock.csv with the password kept alongside.
+// Addresses are shown on the schedules page, so they may not carry a
+// password themselves.
+//
+// The address comes from the merchant, so a feed may not point at this
+// machine or the private networks the app's server can reach: every host is
+// checked as it is resolved, redirects included. Only in development is plain
+// HTTP from this machine accepted, so a schedule can be tried against a local
+// stand-in file server.
+
+export const SOURCE_TYPES = {
+  HTTPS: "HTTPS",
+  SFTP: "SFTP",
+};
+
+// Files are read into memory and stored with the import job.
+const MAX_FILE_BYTES = 20 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 60 * 1000;
+const MAX_REDIRECTS = 5;
+
+const TOO_LARGE = "The file is larger than 20 MB";
+const PRIVATE_ADDRESS = "The address of the file server is on a private network, which feeds cannot use";
+
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+const allowsLocalSources = (url) => process.env.NODE_ENV === "development" && LOCAL_HOSTS.includes(url.hostname);
+
+// Loopback, private, link-local (which has the cloud metadata service),
+// shared, reserved and multicast ranges. IPv4 addresses written as IPv6 are
+// refused outright.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["::ffff:0:0", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
+
+const isBlockedAddress = (address, family) => BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+
+// IPv6 hosts keep their brackets in a URL.
+const hostOf = (url) => url.hostname.replace(/^\[(.*)\]$/, "$1");
+
+// dns.lookup, refusing hosts with a blocked address. Sockets connect to the
+// address it hands back, so a host cannot pass the check with one address
+// and be reached at another.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+    } else if (addresses.some(({ address, family }) => isBlockedAddress(address, family))) {
+      callback(new Error(PRIVATE_ADDRESS));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+const lookupFor = (url) => (allowsLocalSources(url) ? dns.lookup : publicLookup);
+
+// Whether a file may be fetched from the URL over HTTP(S).
+const isHttpSource = (url) => url.protocol === "https:" || (url.protocol === "http:" && allowsLocalSources(url));
+
+// Reads a source URL into `{ type, url }`, or `{ error }`.
+export function parseSourceUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value ?? "").trim());
+  } catch {
+    return { error: "Enter the full address of the file, starting with https:// or sftp://" };
+  }
+
+  if (isHttpSource(url)) {
+    if (url.username || url.password) {
+      return { error: "Use an address without a user name or password in it" };
+    }
+    return { type: SOURCE_TYPES.HTTPS, url };
+  }
+  if (url.protocol === "sftp:") {
+    if (!url.username || url.pathname.length <= 1) {
+      return { error: "An SFTP address needs a user name and a file path, as in sftp://user@host/path/stock.csv" };
+    }
+    if (url.password) {
+      return { error: "Leave the password out of the address and enter it as the SFTP password" };
+    }
+    return { type: SOURCE_TYPES.SFTP, url };
+  }
+  return { error: "Only https:// and sftp:// addresses are supported" };
+}
+
+const sftpServerOf = (sourceUrl) => {
+  const source = parseSourceUrl(sourceUrl);
+  if (source.type !== SOURCE_TYPES.SFTP) {
+    return null;
+  }
+  const { hostname, port, username } = source.url;
+  return `${hostname.toLowerCase()}:${Number(port) || 22}:${decodeURIComponent(username)}`;
+};
+
+// The SFTP password for `sourceUrl`: the one typed in, or else the saved
+// schedule's, which is only ever sent to the host, port and user it was saved
+// for. Returns `{ password }`, null for an address that needs none, or
+// `{ error }` when the password has to be typed in again.
+export function sftpPasswordFor(sourceUrl, typedPassword, saved) {
+  const server = sftpServerOf(sourceUrl);
+  if (!server) {
+    return { password: null };
+  }
+  if (typedPassword) {
+    return { password: typedPassword };
+  }
+  if (saved?.sftpPassword && sftpServerOf(saved.sourceUrl) === server) {
+    return { password: saved.sftpPassword };
+  }
+  return {
+    error: saved?.sftpPassword
+      ? "The server or user changed, so enter the SFTP password again"
+      : "Enter the SFTP password",
+  };
+}
+
+// The last part of the path, which also tells the spreadsheet reader the
+// file's format. Feeds without an extension are taken to be CSV.
+function fileNameOf(url) {
+  const name = decodeURIComponent(url.pathname.split("/").pop() || "");
+  return /\.[^.]+$/.test(name) ? name : `${name || "feed"}.csv`;
+}
+
+// Sends a GET without following redirects and resolves with the response
+// once its headers are in. Sockets skip the lookup for an IP address, which is
+// checked here instead.
+function request(url, signal) {
+  const host = hostOf(url);
+  if (net.isIP(host) && !allowsLocalSources(url) && isBlockedAddress(host, net.isIP(host))) {
+    return Promise.reject(new Error(PRIVATE_ADDRESS));
+  }
+
+  const client = url.protocol === "http:" ? http : https;
+  return new Promise((resolve, reject) => {
+    client.get(url, { lookup: lookupFor(url), signal }, resolve).on("error", reject);
+  });
+}
+
+// Reads the body as it arrives and stops once it is too large.
+async function readBody(response) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > MAX_FILE_BYTES) {
+      response.destroy();
+      throw new Error(TOO_LARGE);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Follows redirects by hand, so that each target is checked like the
+// address of the schedule.
+async function fetchHttps(url) {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let current = url;
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const response = await request(current, signal);
+      const { statusCode, statusMessage, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirects === MAX_REDIRECTS) {
+          throw new Error("The file server redirected too many times");
+        }
+        current = new URL(headers.location, current);
+        if (!isHttpSource(current)) {
+          throw new Error(`The file server redirected to ${current.protocol}// addresses, which are not supported`);
+        }
+        continue;
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        throw new Error(`The file server answered ${statusCode} ${statusMessage || ""}`.trim());
+      }
+      if (Number(headers["content-length"]) > MAX_FILE_BYTES) {
+        response.destroy();
+        throw new Error(TOO_LARGE);
+      }
+      return await readBody(response);
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      throw new Error("The file server did not send the file within a minute");
+    }
+    throw error;
+  }
+}
+
+function resolveHost(url) {
+  return new Promise((resolve, reject) => {
+    lookupFor(url)(hostOf(url), {}, (error, address) => (error ? reject(error) : resolve(address)));
+  });
+}
+
+// Connects to the address checked when resolving the host, for the same
+// reason as publicLookup.
+async function fetchSftp(url, password) {
+  const host = await resolveHost(url);
+  const client = new SftpClient();
+  try {
+    await client.connect({
+      host,
+      port: Number(url.port) || 22,
+      username: decodeURIComponent(url.username),
+      password: password || undefined,
+      readyTimeout: FETCH_TIMEOUT_MS,
+    });
+    const path = decodeURIComponent(url.pathname);
+    const { size } = await client.stat(path);
+    if (size > MAX_FILE_BYTES) {
+      throw new Error(TOO_LARGE);
+    }
+    return await client.get(path);
+  } finally {
+    await client.end().catch(() => {});
+  }
+}
+
+// Downloads the schedule's file. Returns `{ fileName, buffer }`, or throws
+// with a message meant for the user.
+export async function fetchSourceFile({ sourceUrl, sftpPassword }) {
+  const source = parseSourceUrl(sourceUrl);
+  if (source.error) {
+    throw new Error(source.error);
+  }
+
+  const buffer =
+    source.type === SOURCE_TYPES.SFTP ? await fetchSftp(source.url, sftpPassword) : await fetchHttps(source.url);
+  if (buffer.length > MAX_FILE_BYTES) {
+    throw new Error(TOO_LARGE);
+  }
+  return { fileName: fileNameOf(source.url), buffer };
+}
@@ -0,0 +1,121 @@
+import ExcelJS from "exceljs";
+
+// A blank import file. The header row is locked so the importer always finds
+// its columns, and the cells below it only take what the importer accepts:
+// the shop's location names, whole-number quantities and prices.
+
+const TEMPLATE_COLUMNS = [
+  { header: "SKU", width: 20 },
+  { header: "Inventory Location", width: 28 },
+  { header: "Quantity Available", width: 20 },
+  { header: "Adjustment", width: 14 },
+  { header: "Price", width: 12 },
+  { header: "CompareAt Price", width: 18 },
+  { header: "On Conflict", width: 14 },
+];
+
+// Validation covers this many rows below the header.
+const TEMPLATE_ROWS = 5000;
+
+const INSTRUCTIONS = [
+  ["How to fill in this template"],
+  [],
+  ["SKU", "The SKU of the variant to update. Each SKU and location pair can only appear once."],
+  ["Inventory Location", "Pick one of your locations from the list. Needed when you import to All Locations."],
+  ["Quantity Available", "The new available quantity, as a whole number."],
+  ["Adjustment", "A change to the available quantity instead, such as 5 or -3. Leave Quantity Available empty when you use it."],
+  ["Price", "The new price. Leave empty to keep the current price."],
+  ["CompareAt Price", "The new compare-at price. Enter 0 to remove it, or leave empty to keep it."],
+  ["On Conflict", "Leave empty to use the option chosen on the import page."],
+  [],
+  ["The header row is locked. Add your rows below it on the Import sheet, then upload the file on the import page."],
+];
+
+function columnRange(index) {
+  const letter = String.fromCharCode(65 + index);
+  return `${letter}2:${letter}${TEMPLATE_ROWS + 1}`;
+}
+
+function addValidation(worksheet, header, validation) {
+  const index = TEMPLATE_COLUMNS.findIndex((column) => column.header === header);
+  worksheet.dataValidations.add(columnRange(index), {
+    allowBlank: true,
+    showErrorMessage: true,
+    errorStyle: "stop",
+    ...validation,
+  });
+}
+
+// Builds the template for the given location names and returns it as a
+// Buffer.
+export async function buildImportTemplate(locationNames) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet("Import", { views: [{ state: "frozen", ySplit: 1 }] });
+  const instructions = workbook.addWorksheet("Instructions");
+  // The dropdown reads its names from a sheet: a list written into the
+  // validation itself is limited to 255 characters.
+  const locations = workbook.addWorksheet("Locations", { state: "hidden" });
+
+  worksheet.columns = TEMPLATE_COLUMNS.map(({ header, width }) => ({
+    header,
+    width,
+    style: { protection: { locked: false } },
+  }));
+  worksheet.getRow(1).eachCell((cell) => {
+    cell.font = { bold: true };
+    cell.protection = { locked: true };
+  });
+
+  locationNames.forEach((name) => locations.addRow([name]));
+  if (locationNames.length > 0) {
+    addValidation(worksheet, "Inventory Location", {
+      type: "list",
+      formulae: [`Locations!$A$1:$A$${locationNames.length}`],
+      errorTitle: "Unknown location",
+      error: "Pick one of your store's locations from the list.",
+    });
+  }
+  for (const header of ["Quantity Available", "Adjustment"]) {
+    addValidation(worksheet, header, {
+      type: "whole",
+      operator: "between",
+      formulae: [-1000000000, 1000000000],
+      errorTitle: "Whole numbers only",
+      error: `${header} must be a whole number.`,
+    });
+  }
+  for (const header of ["Price", "CompareAt Price"]) {
+    addValidation(worksheet, header, {
+      type: "decimal",
+      operator: "greaterThanOrEqual",
+      formulae: [0],
+      errorTitle: "Invalid price",
+      error: `${header} must be a number of 0 or more.`,
+    });
+  }
+  addValidation(worksheet, "On Conflict", {
+    type: "list",
+    formulae: ['"Skip,Overwrite,Delta"'],
+    errorTitle: "Invalid value",
+    error: "Use Skip, Overwrite or Delta.",
+  });
+
+  // Without a password: the lock keeps the headers from being changed by
+  // accident, not from someone who means to.
+  await worksheet.protect("", {
+    selectLockedCells: true,
+    selectUnlockedCells: true,
+    formatColumns: true,
+    insertRows: true,
+    deleteRows: true,
+    sort: true,
+    autoFilter: true,
+  });
+
+  instructions.columns = [{ width: 22 }, { width: 100 }];
+  INSTRUCTIONS.forEach((line) => instructions.addRow(line));
+  instructions.getColumn(1).font = { bold: true };
+  instructions.getRow(1).font = { bold: true, size: 14 };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
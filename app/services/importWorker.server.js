@@ -0,0 +1,292 @@
+import { unauthenticated } from "../shopify.server";
+import {
+  claimNextImportJob,
+  claimNextImportRollback,
+  completeImportJob,
+  completeImportRollback,
+  countImportChanges,
+  failImportJob,
+  failImportRollback,
+  getKeptImportItems,
+  getPendingImportChanges,
+  markImportBatchInFlight,
+  requeueStaleImportJobs,
+  saveImportJobProgress,
+  saveImportRollbackProgress,
+  savePlannedImportJob,
+} from "../models/importJob.server";
+import { createImportResults, recordFailure } from "./importResults.server";
+import {
+  applyChanges,
+  buildWorkList,
+  createImportPlan,
+  IMPORT_BATCH_SIZE,
+  importDocumentUri,
+  planBatch,
+  prepareImport,
+  recordInvalidRows,
+  resumeChanges,
+  toBatches,
+} from "./inventoryImport.server";
+import { applyActivations, applyTrackings } from "./inventoryActivation.server";
+import { applyCreations } from "./productCreation.server";
+import { applyPriceChanges } from "./priceImport.server";
+import { applyProductChanges } from "./productImport.server";
+import { createRollbackResults, revertChanges } from "./importRollback.server";
+
+// Kept on `global` for the same reason as the Prisma client: the dev server
+// re-evaluates modules and must not start a second worker loop.
+const worker = global.importWorker ?? { started: false, running: false, wakeAgain: false, jobId: null };
+global.importWorker = worker;
+
+// How often jobs that another instance left running are looked for, so that
+// they do not wait for a restart of this one.
+const REQUEUE_INTERVAL_MS = 60 * 1000;
+
+export function startImportWorker() {
+  if (worker.started) {
+    return;
+  }
+  worker.started = true;
+
+  requeueStaleImportJobs()
+    .catch((error) => console.error("Failed to requeue import jobs", error))
+    .finally(wakeImportWorker);
+
+  setInterval(() => {
+    requeueStaleImportJobs(worker.jobId)
+      .then((count) => count > 0 && wakeImportWorker())
+      .catch((error) => console.error("Failed to requeue import jobs", error));
+  }, REQUEUE_INTERVAL_MS).unref();
+}
+
+export function wakeImportWorker() {
+  if (worker.running) {
+    worker.wakeAgain = true;
+    return;
+  }
+
+  worker.running = true;
+  drainQueue()
+    .catch((error) => console.error("Import worker stopped", error))
+    .finally(() => {
+      worker.running = false;
+      if (worker.wakeAgain) {
+        worker.wakeAgain = false;
+        wakeImportWorker();
+      }
+    });
+}
+
+// Imports go first; an undo waits until no import is queued.
+async function drainQueue() {
+  for (;;) {
+    const job = await claimNextImportJob();
+    if (job) {
+      worker.jobId = job.id;
+      try {
+        await runImportJob(job);
+      } catch (error) {
+        console.error(`Import job ${job.id} failed`, error);
+        await failImportJob(job.id, error.message);
+      } finally {
+        worker.jobId = null;
+      }
+      continue;
+    }
+
+    const rollback = await claimNextImportRollback();
+    if (!rollback) {
+      return;
+    }
+    worker.jobId = rollback.id;
+    try {
+      await runImportRollback(rollback);
+    } catch (error) {
+      console.error(`Undo of import job ${rollback.id} failed`, error);
+      await failImportRollback(rollback.id, error.message);
+    } finally {
+      worker.jobId = null;
+    }
+  }
+}
+
+function progressOf(results, processedRows) {
+  return {
+    processedRows,
+    updatedRows: results.updated,
+    activatedRows: results.activated || 0,
+    skippedRows: results.skippedRows.length,
+    failedRows: results.failedRows.length,
+    conflictRows: results.conflictRows.length,
+    results,
+  };
+}
+
+// A job is planned first and then applied. A preview job stops in between
+// and is queued again once the user confirms it.
+async function runImportJob(job) {
+  const { admin } = await unauthenticated.admin(job.shop);
+  const plannedJob = job.plannedAt ? job : await planImportJob(admin, job);
+
+  if (plannedJob.preview && !plannedJob.confirmedAt) {
+    return;
+  }
+
+  await applyImportJob(admin, plannedJob);
+}
+
+async function planImportJob(admin, job) {
+  const rows = job.rows;
+  const context = await prepareImport(admin, job);
+  const { entries, invalid, size } = buildWorkList(context, rows);
+
+  // Rows that fail the checks, or have no SKU at all, are done as soon as the
+  // work list is built. Whatever the job processed beyond those tells a
+  // resumed job how far into the work list it already got.
+  const settledRows = size - entries.length;
+  let results = job.results;
+  if (!results) {
+    results = createImportResults(rows.length);
+    recordInvalidRows(results, invalid);
+  }
+  // A plan saved by an older version may lack the newer lists.
+  const plan = { ...createImportPlan(), ...job.plan };
+
+  let processedRows = Math.max(job.processedRows, settledRows);
+  const remaining = entries.slice(processedRows - settledRows);
+
+  for (const batch of toBatches(remaining)) {
+    try {
+      await planBatch(admin, batch, results, plan, { activateMissing: job.activateMissing, tagsMode: job.tagsMode });
+    } catch (error) {
+      for (const { row, sku } of batch) {
+        recordFailure(results, row, error.message, `Error processing SKU ${sku}: ${error.message}`);
+      }
+    }
+
+    processedRows += batch.length;
+    if (processedRows < size) {
+      await saveImportJobProgress(job.id, {
+        ...progressOf(results, processedRows),
+        totalRows: size,
+        plan,
+        totalChanges: countChanges(plan),
+      });
+    }
+  }
+
+  await savePlannedImportJob(job.id, {
+    ...progressOf(results, size),
+    totalRows: size,
+    plan,
+    totalChanges: countChanges(plan),
+    preview: job.preview,
+  });
+
+  return { ...job, plan, results, totalRows: size, totalChanges: countChanges(plan), appliedChanges: 0 };
+}
+
+// The parts of a plan in the order they are applied. Plans from before
+// creations, tracking, activations and product changes existed have none of
+// them.
+// `write` says how quantity changes are written (see applyChanges). `resume`
+// sends a batch that may already have been written; products created since
+// the job was queued are taken for its own.
+function planSteps(plan, write, since) {
+  return [
+    {
+      changes: plan.creations || [],
+      apply: applyCreations,
+      resume: (admin, batch, results) => applyCreations(admin, batch, results, since),
+    },
+    { changes: plan.trackings || [], apply: applyTrackings },
+    { changes: plan.activations || [], apply: applyActivations },
+    {
+      changes: plan.changes,
+      apply: (admin, batch, results) => applyChanges(admin, batch, results, write),
+      resume: (admin, batch, results) => resumeChanges(admin, batch, results, write),
+    },
+    { changes: plan.priceChanges, apply: applyPriceChanges },
+    { changes: plan.productChanges || [], apply: applyProductChanges },
+  ];
+}
+
+function countChanges(plan) {
+  return planSteps(plan).reduce((count, step) => count + step.changes.length, 0);
+}
+
+// The next batch from the counter on. A batch never spans two steps.
+function batchAt(steps, position) {
+  let offset = position;
+  for (const step of steps) {
+    if (offset < step.changes.length) {
+      return { step, batch: step.changes.slice(offset, offset + IMPORT_BATCH_SIZE) };
+    }
+    offset -= step.changes.length;
+  }
+  return null;
+}
+
+// Applies the stored plan as it is, so a confirmed preview writes exactly the
+// changes the user saw: new products first, then tracking, activations,
+// quantities, prices and products. All kinds share one counter, which is
+// where a resumed job picks up. Each batch is marked as in flight before it
+// is sent: a job that stopped between sending a batch and its checkpoint
+// sends it again through the step's `resume`, since deltas and moves must not
+// be written twice and products not created twice. Tracking, prices and
+// product fields are set to values and can be written again.
+async function applyImportJob(admin, job) {
+  const steps = planSteps(
+    job.plan,
+    { documentUri: importDocumentUri(job.id), reason: job.adjustmentReason },
+    job.createdAt,
+  );
+  const results = job.results;
+  const totalChanges = countChanges(job.plan);
+  let appliedChanges = job.appliedChanges;
+  // Journal entries of the batch since the last checkpoint.
+  let applied = [];
+
+  while (appliedChanges < totalChanges) {
+    const { step, batch } = batchAt(steps, appliedChanges);
+    const send = job.inFlightAt === appliedChanges && step.resume ? step.resume : step.apply;
+    await markImportBatchInFlight(job.id, appliedChanges);
+
+    // The steps catch the errors of their own calls and return what was
+    // written before one failed; only an unexpected error ends up here.
+    try {
+      applied = await send(admin, batch, results);
+    } catch (error) {
+      for (const { row, sku } of batch) {
+        recordFailure(results, row, error.message, `Error updating SKU ${sku}: ${error.message}`);
+      }
+    }
+
+    appliedChanges += batch.length;
+    if (appliedChanges < totalChanges) {
+      await saveImportJobProgress(job.id, { ...progressOf(results, job.totalRows), appliedChanges, inFlightAt: null }, applied);
+      applied = [];
+    }
+  }
+
+  await completeImportJob(job.id, { ...progressOf(results, job.totalRows), appliedChanges, inFlightAt: null }, applied);
+}
+
+// Reverts the journal a batch at a time. Every batch is marked in the journal
+// as it is checkpointed, so a resumed undo carries on with what is left.
+async function runImportRollback(job) {
+  const { admin } = await unauthenticated.admin(job.shop);
+  const results = job.rollbackResults ?? createRollbackResults(await countImportChanges(job.id));
+
+  let changes;
+  while ((changes = await getPendingImportChanges(job.id, IMPORT_BATCH_SIZE)).length > 0) {
+    const outcomes = await revertChanges(admin, changes, job.rows, results, {
+      documentUri: importDocumentUri(job.id),
+      keptItems: await getKeptImportItems(job.id),
+    });
+    await saveImportRollbackProgress(job.id, results, outcomes);
+  }
+
+  await completeImportRollback(job.id, results);
+}
@@ -0,0 +1,168 @@
+import { adminGraphql } from "./adminGraphql.server";
+import { recordActivation, recordFailure } from "./importResults.server";
+
+// Rows for a location a variant is not stocked at. Unless the import is told
+// to activate such levels they fail; otherwise the item is stocked at the
+// location with the row's quantity. The same option turns inventory tracking
+// on where it is off, before any level or quantity of the item is written.
+// `inventoryActivate` only takes the available and on hand quantities, and
+// has no bulk form, so each row is its own call.
+
+const ACTIVATION_QUANTITIES = {
+  available: "available",
+  on_hand: "onHand",
+};
+
+// Returns the activation for a row whose variant has no level at the
+// location, or `{ error }`. A delta counts from zero.
+export function planActivation(entry, item, variant) {
+  if (!ACTIVATION_QUANTITIES[item.quantityName]) {
+    return { error: "Only available or on hand quantities can be set for a location the SKU is not stocked at" };
+  }
+
+  return {
+    ...item,
+    currentQuantity: 0,
+    quantity: entry.quantity,
+    tracked: variant.inventoryItem.tracked,
+  };
+}
+
+async function setTracking(admin, inventoryItemId, tracked) {
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    mutation setTracking($id: ID!, $input: InventoryItemInput!) {
+      inventoryItemUpdate(id: $id, input: $input) {
+        inventoryItem {
+          id
+        }
+        userErrors {
+          message
+        }
+      }
+    }`,
+    { id: inventoryItemId, input: { tracked } },
+  );
+
+  return data?.inventoryItemUpdate?.userErrors?.[0]?.message ?? null;
+}
+
+async function activateLevel(admin, activation) {
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    mutation activateInventory($inventoryItemId: ID!, $locationId: ID!, $available: Int, $onHand: Int) {
+      inventoryActivate(inventoryItemId: $inventoryItemId, locationId: $locationId, available: $available, onHand: $onHand) {
+        inventoryLevel {
+          id
+        }
+        userErrors {
+          message
+        }
+      }
+    }`,
+    {
+      inventoryItemId: activation.inventoryItemId,
+      locationId: activation.locationId,
+      [ACTIVATION_QUANTITIES[activation.quantityName]]: activation.quantity,
+    },
+  );
+
+  const result = data?.inventoryActivate;
+  return { levelId: result?.inventoryLevel?.id ?? null, error: result?.userErrors?.[0]?.message ?? null };
+}
+
+// Activates each level and returns the journal of what was written.
+export async function applyActivations(admin, activations, results) {
+  const applied = [];
+
+  for (const activation of activations) {
+    const { inventoryItemId, row, sku } = activation;
+    const { levelId, error } = await activateLevel(admin, activation).catch((thrown) => ({ levelId: null, error: thrown.message }));
+    if (error) {
+      recordFailure(results, row, `Activation failed: ${error}`, `Error activating SKU ${sku}: ${error}`);
+      continue;
+    }
+
+    recordActivation(results, activation);
+    applied.push({
+      rowIndex: activation.rowIndex,
+      kind: "ACTIVATION",
+      sku,
+      locationId: activation.locationId,
+      inventoryItemId,
+      before: { active: false },
+      after: { active: true, levelId, name: activation.quantityName, quantity: activation.quantity },
+    });
+  }
+
+  return applied;
+}
+
+// Adds the item of a row to `plan.trackings` unless it is tracked or already
+// planned. Rows of an item that is stocked at their location need tracking as
+// much as those that activate it.
+export function planTracking(plan, item, variant) {
+  if (variant.inventoryItem.tracked || plan.trackings.some((tracking) => tracking.inventoryItemId === item.inventoryItemId)) {
+    return;
+  }
+  plan.trackings.push({
+    rowIndex: item.rowIndex,
+    row: item.row,
+    sku: item.sku,
+    locationId: item.locationId,
+    inventoryItemId: item.inventoryItemId,
+  });
+}
+
+// Turns tracking on for each planned item and returns the journal of what was
+// written. The item's activations and quantity changes go ahead either way.
+export async function applyTrackings(admin, trackings, results) {
+  const applied = [];
+
+  for (const tracking of trackings) {
+    const { inventoryItemId, row, sku } = tracking;
+    const error = await setTracking(admin, inventoryItemId, true).catch((thrown) => thrown.message);
+    if (error) {
+      recordFailure(results, row, `Tracking could not be turned on: ${error}`, `Error tracking SKU ${sku}: ${error}`);
+      continue;
+    }
+
+    applied.push({
+      rowIndex: tracking.rowIndex,
+      kind: "TRACKING",
+      sku,
+      locationId: tracking.locationId,
+      inventoryItemId,
+      before: { tracked: false },
+      after: { tracked: true },
+    });
+  }
+
+  return applied;
+}
+
+// Undoes an activation: the level is removed again. Tracking has its own
+// journal entry (see applyTrackings). Returns the error, or null.
+export async function deactivateLevel(admin, change) {
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    mutation deactivateInventory($inventoryLevelId: ID!) {
+      inventoryDeactivate(inventoryLevelId: $inventoryLevelId) {
+        userErrors {
+          message
+        }
+      }
+    }`,
+    { inventoryLevelId: change.after.levelId },
+  );
+
+  return data?.inventoryDeactivate?.userErrors?.[0]?.message ?? null;
+}
+
+// Undoes the tracking the import turned on. Returns the error, or null.
+export async function untrackItem(admin, change) {
+  return setTracking(admin, change.inventoryItemId, false);
+}
@@ -0,0 +1,878 @@
+import { adminGraphql } from "./adminGraphql.server";
+import { planActivation, planTracking } from "./inventoryActivation.server";
+import { newProductOf, planCreation } from "./productCreation.server";
+import { recordConflict, recordFailure, recordSkip, recordUpdate } from "./importResults.server";
+import { checkPriceColumns, claimPrices, planPriceChange } from "./priceImport.server";
+import { checkProductColumns, planProductChange, productConflictOf } from "./productImport.server";
+import { findVariants, matchOf } from "./variantLookup.server";
+import {
+  MATCH_KEYS,
+  QUANTITY_NAMES,
+  hasPivotColumns,
+  mapColumns,
+  quantityNameOf,
+  unpivotRow,
+} from "../utils/importColumns";
+import { DUPLICATE_ROWS } from "../utils/importOptions";
+
+// Inventory import, run by the import worker outside of any request.
+//
+// Rows are first checked without touching the API (`buildWorkList`). The rows
+// that pass are grouped by location and planned in batches: one search
+// resolves every SKU of a batch and decides which rows change. Nothing is
+// written until the plan is applied, which sends each batch of changes in a
+// single `inventorySetQuantities` call, followed by the price changes (see
+// priceImport.server.js). Quantities other than available and on hand can only
+// be moved to and from available, which `inventoryMoveQuantities` does. A
+// preview shows the plan and applies it only once the user confirms.
+
+// Each SKU lookup is a term in one search query, and each change one entry of
+// the mutation input; 50 keeps both well inside the API limits.
+export const IMPORT_BATCH_SIZE = 50;
+
+export const IMPORT_MODES = {
+  SET: "SET",
+  ADJUST: "ADJUST",
+};
+
+// What to do with a row whose stock changed between export and import: keep
+// the live stock, write the sheet value anyway, or apply the difference the
+// user made in the sheet on top of the live stock.
+export const CONFLICT_POLICIES = {
+  SKIP: "SKIP",
+  OVERWRITE: "OVERWRITE",
+  DELTA: "DELTA",
+};
+
+// Moves into a state other than available must name the document behind
+// them; for an import that is its job.
+export const importDocumentUri = (jobId) => `inventory-import://jobs/${jobId}`;
+
+export async function prepareImport(
+  admin,
+  {
+    locationId,
+    mode,
+    conflictPolicy,
+    columnMapping,
+    matchKey,
+    quantityName,
+    createMissing,
+    duplicateRows,
+    blankQuantity,
+  },
+) {
+  const isAllLocationsMode = locationId === "ALL_LOCATIONS";
+
+  let allLocations = [];
+  if (isAllLocationsMode) {
+    const data = await adminGraphql(
+      admin,
+      `#graphql
+      query getLocations {
+        locations(first: 250, includeLegacy: true, includeInactive: true) {
+          edges {
+            node {
+              id
+              name
+            }
+          }
+        }
+      }`,
+    );
+    allLocations =
+      data?.locations?.edges.map((edge) => ({
+        id: edge.node.id,
+        name: edge.node.name,
+      })) || [];
+  }
+
+  let selectedLocationName = null;
+  if (!isAllLocationsMode) {
+    const data = await adminGraphql(
+      admin,
+      `#graphql
+      query getLocation($id: ID!) {
+        location(id: $id) {
+          name
+        }
+      }`,
+      { id: locationId },
+    );
+    selectedLocationName = data?.location?.name;
+
+    if (!selectedLocationName) {
+      throw new Error("The selected location no longer exists");
+    }
+  }
+
+  return {
+    locationId,
+    mode,
+    conflictPolicy,
+    columnMapping,
+    matchKey: Object.hasOwn(MATCH_KEYS, matchKey) ? matchKey : "SKU",
+    quantityName: quantityNameOf(quantityName) || "available",
+    createMissing: Boolean(createMissing),
+    duplicateRows: DUPLICATE_ROWS[duplicateRows] ? duplicateRows : "ERROR",
+    // Only a quantity column the file has can be blank (see importOptions.js).
+    blankIsZero: blankQuantity === "ZERO" && Boolean(columnMapping?.["Quantity Available"]),
+    isAllLocationsMode,
+    allLocations,
+    selectedLocationName,
+    processedCombinations: new Set(),
+    pricesByVariant: new Map(),
+  };
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+// Deltas must be whole numbers, optionally signed as in "+24" or "-3".
+function parseDelta(value) {
+  const text = String(value).trim();
+  return /^[+-]?\d+$/.test(text) ? parseInt(text) : NaN;
+}
+
+// A header row repeated further down, as when sheets are pasted together.
+export function isImportableRow(row) {
+  return row["SKU"] !== "SKU";
+}
+
+// Validates the row, keyed by import field (see mapColumns), against the sheet
+// rules that need no API call and registers it for duplicate detection.
+// Returns the target of the update, or `{ error }` when the row has to fail,
+// with `skip` when it is only left out.
+export function checkRow(context, row) {
+  const match = matchOf(context.matchKey, row);
+  if (match.error) {
+    return match;
+  }
+  const sku = isBlank(row["SKU"]) ? match.value : String(row["SKU"]).trim();
+
+  // A value in the "Adjustment" column always is a delta. Without one, the
+  // import mode decides how "Quantity Available" is read.
+  const adjustmentRaw = row["Adjustment"];
+  const isDelta = !isBlank(adjustmentRaw) || context.mode === IMPORT_MODES.ADJUST;
+  const quantityRaw = isBlank(adjustmentRaw) ? row["Quantity Available"] : adjustmentRaw;
+  let quantity = null;
+  if (!isBlank(quantityRaw)) {
+    quantity = isDelta ? parseDelta(quantityRaw) : parseInt(quantityRaw);
+  } else if (context.blankIsZero) {
+    quantity = 0;
+  }
+  const hasQuantity = quantity !== null;
+  if (hasQuantity && isNaN(quantity)) {
+    return { error: isDelta ? `Invalid adjustment value '${quantityRaw}'` : "Invalid or missing quantity value" };
+  }
+
+  // The export writes the quantity it saw into a hidden column; a row with it
+  // is only written if the stock has not changed since.
+  const exportedQuantityRaw = row["Exported Quantity"];
+  const exportedQuantity = isBlank(exportedQuantityRaw) ? null : parseInt(exportedQuantityRaw);
+  if (isNaN(exportedQuantity)) {
+    return { error: `Invalid Exported Quantity '${exportedQuantityRaw}'` };
+  }
+
+  // A "Quantity Name" column picks the quantity per row; otherwise the one
+  // chosen for the import is written.
+  const quantityNameRaw = row["Quantity Name"];
+  const quantityName = isBlank(quantityNameRaw) ? context.quantityName : quantityNameOf(quantityNameRaw);
+  if (!quantityName) {
+    return { error: `Invalid Quantity Name '${quantityNameRaw}', use ${Object.keys(QUANTITY_NAMES).join(", ")}` };
+  }
+
+  const onConflictRaw = row["On Conflict"];
+  const onConflict = isBlank(onConflictRaw)
+    ? context.conflictPolicy
+    : String(onConflictRaw).trim().toUpperCase();
+  if (!Object.hasOwn(CONFLICT_POLICIES, onConflict)) {
+    return { error: `Invalid On Conflict value '${onConflictRaw}', use Skip, Overwrite or Delta` };
+  }
+
+  const sheetLocationRaw = row["Inventory Location"];
+  const sheetLocation = sheetLocationRaw ? String(sheetLocationRaw).trim() : "";
+
+  let targetLocationId = context.locationId;
+  let targetLocationName = context.selectedLocationName;
+
+  if (context.isAllLocationsMode) {
+    if (!sheetLocation) {
+      return {
+        error: "Inventory Location is required for All Locations mode",
+        message: `Inventory Location is required when "All Locations" is selected`,
+      };
+    }
+
+    const foundLocation = context.allLocations.find(
+      (loc) => loc.name.toLowerCase() === sheetLocation.toLowerCase(),
+    );
+    if (!foundLocation) {
+      return { error: `Location '${sheetLocation}' not found in store` };
+    }
+
+    targetLocationId = foundLocation.id;
+    targetLocationName = foundLocation.name;
+  } else if (
+    sheetLocation &&
+    sheetLocation.toLowerCase() !== targetLocationName.toLowerCase()
+  ) {
+    return {
+      error: `Location mismatch: '${sheetLocation}' ≠ '${targetLocationName}'`,
+      message: `Location in sheet '${sheetLocation}' does not match selected location '${targetLocationName}'`,
+    };
+  }
+
+  const combinationKey = `${match.key}|${targetLocationName}|${quantityName}`;
+  // The last of several rows wins once the whole file is read (see
+  // buildWorkList).
+  if (context.processedCombinations.has(combinationKey) && context.duplicateRows !== "LAST") {
+    return context.duplicateRows === "FIRST"
+      ? { error: "Repeats an earlier row", skip: true }
+      : { error: `You have identical row having same ${MATCH_KEYS[context.matchKey].field} and location` };
+  }
+
+  const { prices, error: priceError } = checkPriceColumns(row);
+  if (priceError) {
+    return { error: priceError };
+  }
+  const { product, error: productError } = checkProductColumns(row);
+  if (productError) {
+    return { error: productError };
+  }
+  if (!hasQuantity && !prices && !product) {
+    return { error: "Quantity is blank", skip: true };
+  }
+  context.processedCombinations.add(combinationKey);
+
+  return {
+    sku,
+    match,
+    quantity,
+    isDelta,
+    exportedQuantity,
+    onConflict,
+    quantityName,
+    prices,
+    product,
+    newProduct: context.createMissing ? newProductOf(context.matchKey, row) : null,
+    locationId: targetLocationId,
+    locationName: targetLocationName,
+    combinationKey,
+  };
+}
+
+// Checks every row and returns the ones to import, ordered by location so
+// that batches can share a single lookup, plus the rows that failed the
+// checks. The result only depends on the rows and the context, which lets a
+// resumed job rebuild exactly the same list.
+//
+// A pivot row becomes one entry per location column; with a single location
+// selected, only that location's column is read. `size` counts such a row
+// once per location and any other row once: it is what the job's progress is
+// measured in.
+//
+// When the last of several duplicate rows wins, each one replaces the entry
+// of the row before it, which is then skipped. Only the entries that are left
+// claim their prices (see claimPrices).
+export function buildWorkList(context, rows) {
+  let entries = [];
+  const invalid = [];
+  const labels = new Map();
+  const latestEntries = new Map();
+  const replaced = new Set();
+  let size = 0;
+  // Blank cells are not kept, so a single row may not show the layout.
+  const isPivot = rows.some((row) => hasPivotColumns(Object.keys(row)));
+
+  rows.forEach((row, rowIndex) => {
+    const fields = mapColumns(row, context.columnMapping);
+    if (!isImportableRow(fields)) {
+      size += 1;
+      return;
+    }
+
+    const locationRows = isPivot
+      ? unpivotRow(row, fields, context.isAllLocationsMode ? null : context.selectedLocationName)
+      : [fields];
+    size += Math.max(locationRows.length, 1);
+
+    for (const locationFields of locationRows) {
+      const target = checkRow(context, locationFields);
+      const location = isPivot ? locationFields["Inventory Location"] : null;
+      const label = rowLabel(context, fields, rowIndex) + (location ? ` at ${location}` : "");
+      const errorOf = (error) => (location ? `${location}: ${error}` : error);
+      if (target.error) {
+        invalid.push({ row, label, ...target, error: errorOf(target.error) });
+        continue;
+      }
+
+      const earlier = latestEntries.get(target.combinationKey);
+      if (earlier) {
+        replaced.add(earlier);
+        const { label: earlierLabel, errorOf: earlierErrorOf } = labels.get(earlier);
+        invalid.push({ row: earlier.row, label: earlierLabel, error: earlierErrorOf("Replaced by a later row"), skip: true });
+      }
+      const entry = { rowIndex, row, ...target };
+      labels.set(entry, { label, errorOf });
+      latestEntries.set(target.combinationKey, entry);
+      entries.push(entry);
+    }
+  });
+
+  entries = entries.filter((entry) => {
+    if (replaced.has(entry)) {
+      return false;
+    }
+    const { label, errorOf } = labels.get(entry);
+    const { prices, error } = claimPrices(context, entry.match.key, entry.prices);
+    if (error) {
+      invalid.push({ row: entry.row, label, error: errorOf(error) });
+      return false;
+    }
+    if (entry.quantity === null && !prices && !entry.product) {
+      invalid.push({ row: entry.row, label, error: errorOf("Price is set by an earlier row"), skip: true });
+      return false;
+    }
+    entry.prices = prices;
+    return true;
+  });
+
+  const locationOrder = new Map();
+  entries.forEach((entry) => {
+    if (!locationOrder.has(entry.locationId)) {
+      locationOrder.set(entry.locationId, locationOrder.size);
+    }
+  });
+  entries.sort(
+    (a, b) =>
+      locationOrder.get(a.locationId) - locationOrder.get(b.locationId) ||
+      a.rowIndex - b.rowIndex,
+  );
+
+  return { entries, invalid, size };
+}
+
+// How messages name a row: by its match key, or by its line in the sheet
+// when it has none.
+function rowLabel(context, fields, rowIndex) {
+  const { field } = MATCH_KEYS[context.matchKey];
+  return isBlank(fields[field]) ? `row ${rowIndex + 2}` : `${field} ${String(fields[field]).trim()}`;
+}
+
+export function recordInvalidRows(results, invalid) {
+  for (const { row, label, error, message, skip } of invalid) {
+    if (skip) {
+      recordSkip(results, row, error);
+    } else {
+      recordFailure(results, row, error, `Skipped ${label}: ${message || error}`);
+    }
+  }
+}
+
+// Splits the work list into batches that never span two locations.
+export function toBatches(entries) {
+  const batches = [];
+  let current = [];
+
+  for (const entry of entries) {
+    if (
+      current.length === IMPORT_BATCH_SIZE ||
+      (current.length > 0 && current[0].locationId !== entry.locationId)
+    ) {
+      batches.push(current);
+      current = [];
+    }
+    current.push(entry);
+  }
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+// userErrors point at the offending entry with a path like
+// ["input", "quantities", "3", "quantity"] or ["input", "changes", "3", "delta"].
+export function entryIndexOf(userError, listName) {
+  const field = userError.field || [];
+  const position = field.indexOf(listName);
+  return position === -1 ? null : Number(field[position + 1]);
+}
+
+// Plans from before quantity names existed only wrote available.
+const nameOf = (change) => change.quantityName || "available";
+
+// Sets one quantity name, which all the changes share.
+export async function setQuantities(admin, changes, reason = "correction") {
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+      inventorySetQuantities(input: $input) {
+        inventoryAdjustmentGroup {
+          id
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`,
+    {
+      input: {
+        reason,
+        name: nameOf(changes[0]),
+        ignoreCompareQuantity: changes[0].compareQuantity === undefined,
+        quantities: changes.map(({ inventoryItemId, locationId, quantity, compareQuantity }) => ({
+          inventoryItemId,
+          locationId,
+          quantity,
+          compareQuantity,
+        })),
+      },
+    },
+  );
+
+  return {
+    userErrors: data?.inventorySetQuantities?.userErrors || [],
+    quantityAfter: (change) => change.quantity,
+  };
+}
+
+// Deltas move from whatever the stock is when they are applied, so the
+// quantities after the change are read from the adjustment group rather than
+// taken from the plan.
+async function adjustQuantities(admin, changes, reason) {
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    mutation inventoryAdjustQuantities($input: InventoryAdjustQuantitiesInput!) {
+      inventoryAdjustQuantities(input: $input) {
+        inventoryAdjustmentGroup {
+          changes {
+            name
+            quantityAfterChange
+            item {
+              id
+            }
+            location {
+              id
+            }
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      input: {
+        reason,
+        name: "available",
+        changes: changes.map(({ inventoryItemId, locationId, delta }) => ({
+          inventoryItemId,
+          locationId,
+          delta,
+        })),
+      },
+    },
+  );
+
+  const result = data?.inventoryAdjustQuantities;
+  const afterByLevel = new Map(
+    (result?.inventoryAdjustmentGroup?.changes || [])
+      .filter((change) => change.name === "available")
+      .map((change) => [`${change.item.id}|${change.location.id}`, change.quantityAfterChange]),
+  );
+
+  return {
+    userErrors: result?.userErrors || [],
+    quantityAfter: (change) =>
+      afterByLevel.get(`${change.inventoryItemId}|${change.locationId}`) ?? change.quantity,
+  };
+}
+
+// Moves the difference between the current and the wanted quantity from
+// available into the change's state, or back. Like deltas, the quantities
+// after the move are read from the adjustment group.
+export async function moveQuantities(admin, changes, documentUri, reason = "correction") {
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    mutation inventoryMoveQuantities($input: InventoryMoveQuantitiesInput!) {
+      inventoryMoveQuantities(input: $input) {
+        inventoryAdjustmentGroup {
+          changes {
+            name
+            quantityAfterChange
+            item {
+              id
+            }
+            location {
+              id
+            }
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      input: {
+        reason,
+        referenceDocumentUri: documentUri,
+        changes: changes.map((change) => {
+          const units = change.quantity - change.currentQuantity;
+          const available = { locationId: change.locationId, name: "available" };
+          const state = { locationId: change.locationId, name: nameOf(change), ledgerDocumentUri: documentUri };
+          return {
+            inventoryItemId: change.inventoryItemId,
+            quantity: Math.abs(units),
+            from: units > 0 ? available : state,
+            to: units > 0 ? state : available,
+          };
+        }),
+      },
+    },
+  );
+
+  const result = data?.inventoryMoveQuantities;
+  const afterByLevel = new Map(
+    (result?.inventoryAdjustmentGroup?.changes || []).map((change) => [
+      `${change.item.id}|${change.location.id}|${change.name}`,
+      change.quantityAfterChange,
+    ]),
+  );
+
+  return {
+    userErrors: result?.userErrors || [],
+    quantityAfter: (change) =>
+      afterByLevel.get(`${change.inventoryItemId}|${change.locationId}|${nameOf(change)}`) ?? change.quantity,
+  };
+}
+
+// What a written change looks like in the import's journal, which is what an
+// undo of the import works from.
+function appliedQuantityChange(change, quantityAfter) {
+  return {
+    rowIndex: change.rowIndex,
+    kind: "QUANTITY",
+    sku: change.sku,
+    locationId: change.locationId,
+    inventoryItemId: change.inventoryItemId,
+    before: { name: nameOf(change), quantity: quantityAfter - (change.quantity - change.currentQuantity) },
+    after: { name: nameOf(change), quantity: quantityAfter },
+  };
+}
+
+// Sends the changes in one call. Both mutations are all-or-nothing, so when
+// some entries are rejected the call is repeated without them and one bad row
+// does not hold back the rest of its batch. A call that throws fails what it
+// was sending, without losing what the calls before it wrote. Returns the
+// changes written.
+async function sendChanges(admin, changes, results, mutate, listName) {
+  const applied = [];
+  let pending = changes;
+
+  while (pending.length > 0) {
+    let response;
+    try {
+      response = await mutate(admin, pending);
+    } catch (error) {
+      for (const change of pending) {
+        recordFailure(results, change.row, error.message, `Error updating SKU ${change.sku}: ${error.message}`);
+      }
+      return applied;
+    }
+
+    const { userErrors, quantityAfter } = response;
+    if (userErrors.length === 0) {
+      for (const change of pending) {
+        recordUpdate(results, change, quantityAfter(change));
+        applied.push(appliedQuantityChange(change, quantityAfter(change)));
+      }
+      return applied;
+    }
+
+    const rejected = new Map();
+    for (const userError of userErrors) {
+      const index = entryIndexOf(userError, listName);
+      if (index !== null && pending[index] && !rejected.has(index)) {
+        rejected.set(index, userError);
+      }
+    }
+
+    // An error that cannot be tied to an entry fails the whole batch.
+    if (rejected.size === 0) {
+      for (const change of pending) {
+        recordFailure(results, change.row, userErrors[0].message, `Error updating SKU ${change.sku}: ${userErrors[0].message}`);
+      }
+      return applied;
+    }
+
+    for (const [index, { message, code }] of rejected) {
+      const change = pending[index];
+      if (code === "COMPARE_QUANTITY_STALE") {
+        recordConflict(results, change.row, `Stock changed before it could be updated: expected ${change.compareQuantity}`);
+      } else {
+        recordFailure(results, change.row, message, `Error updating SKU ${change.sku}: ${message}`);
+      }
+    }
+    pending = pending.filter((_, index) => !rejected.has(index));
+  }
+
+  return applied;
+}
+
+export const quantityKey = (inventoryItemId, locationId, name) => `${inventoryItemId}|${locationId}|${name}`;
+
+// The quantities the levels of the changes have now, keyed by quantityKey.
+export async function liveQuantities(admin, changes) {
+  const quantities = new Map();
+
+  for (const locationId of new Set(changes.map((change) => change.locationId))) {
+    const ids = [
+      ...new Set(changes.filter((change) => change.locationId === locationId).map((change) => change.inventoryItemId)),
+    ];
+    const data = await adminGraphql(
+      admin,
+      `#graphql
+      query importLiveQuantities($ids: [ID!]!, $locationId: ID!, $names: [String!]!) {
+        nodes(ids: $ids) {
+          ... on InventoryItem {
+            id
+            inventoryLevel(locationId: $locationId) {
+              quantities(names: $names) {
+                name
+                quantity
+              }
+            }
+          }
+        }
+      }`,
+      { ids, locationId, names: Object.keys(QUANTITY_NAMES) },
+    );
+
+    for (const item of data?.nodes || []) {
+      for (const { name, quantity } of item?.inventoryLevel?.quantities || []) {
+        quantities.set(quantityKey(item.id, locationId, name), quantity);
+      }
+    }
+  }
+
+  return quantities;
+}
+
+// Sends a batch that was in flight when the worker stopped, and may have been
+// written in part or in full. A change whose stock already is what the plan
+// leads to counts as written and is journaled without sending it again; the
+// others are sent as usual. A delta whose stock moved again since it was
+// written cannot be told from one that never was, and is sent again.
+export async function resumeChanges(admin, changes, results, write) {
+  const live = await liveQuantities(admin, changes);
+  const written = changes.filter(
+    (change) => live.get(quantityKey(change.inventoryItemId, change.locationId, nameOf(change))) === change.quantity,
+  );
+
+  const applied = written.map((change) => {
+    recordUpdate(results, change, change.quantity);
+    return appliedQuantityChange(change, change.quantity);
+  });
+  const pending = changes.filter((change) => !written.includes(change));
+  return [...applied, ...(await applyChanges(admin, pending, results, write))];
+}
+
+// Absolute quantities go through `inventorySetQuantities`, one call per
+// quantity name, deltas of available through `inventoryAdjustQuantities` and
+// the other states through `inventoryMoveQuantities`. Sets that carry a
+// compare quantity need their own call, since the compare check is switched
+// on for the whole input. Every call gives the import's `reason`. Returns the
+// journal of what was written.
+export async function applyChanges(admin, changes, results, { documentUri, reason }) {
+  const adjustments = changes.filter((change) => change.delta !== undefined);
+  const moves = changes.filter((change) => QUANTITY_NAMES[nameOf(change)].mutation === "MOVE");
+  const sets = changes.filter((change) => change.delta === undefined && !moves.includes(change));
+  const set = (client, pending) => setQuantities(client, pending, reason);
+  const adjust = (client, pending) => adjustQuantities(client, pending, reason);
+  const move = (client, pending) => moveQuantities(client, pending, documentUri, reason);
+
+  const applied = [];
+  for (const name of new Set(sets.map(nameOf))) {
+    const ofName = sets.filter((change) => nameOf(change) === name);
+    applied.push(
+      ...(await sendChanges(admin, ofName.filter((change) => change.compareQuantity === undefined), results, set, "quantities")),
+      ...(await sendChanges(admin, ofName.filter((change) => change.compareQuantity !== undefined), results, set, "quantities")),
+    );
+  }
+  applied.push(
+    ...(await sendChanges(admin, adjustments, results, adjust, "changes")),
+    ...(await sendChanges(admin, moves, results, move, "changes")),
+  );
+  return applied;
+}
+
+// Looks up the batch and adds what it would do to the plan: `creations`,
+// `activations`, `changes`, `priceChanges` and `productChanges` are written
+// when the plan is applied, `unchanged` rows are only kept so the preview can
+// list every row. Rows that cannot be imported go straight to the results.
+// Rows that match no variant create one when the import creates missing
+// products (see productCreation.server.js). With `activateMissing`, a variant
+// not stocked at the row's location is activated there instead of failing,
+// and an item whose stock changes has its tracking turned on (see
+// inventoryActivation.server.js); `tagsMode` says how a Tags column is
+// applied (see productImport.server.js).
+export async function planBatch(admin, batch, results, plan, { activateMissing = false, tagsMode } = {}) {
+  const { locationId } = batch[0];
+  const variantsByKey = await findVariants(admin, batch.map((entry) => entry.match), locationId);
+
+  for (const entry of batch) {
+    const { row, match, quantity } = entry;
+    const { field } = MATCH_KEYS[match.type];
+    const candidates = variantsByKey.get(match.key) || [];
+
+    if (candidates.length === 0 && entry.newProduct) {
+      const { error } = planCreation(plan, entry);
+      if (error) {
+        recordFailure(results, row, error, `Skipped ${field} ${match.value}: ${error}`);
+      }
+      continue;
+    }
+    if (candidates.length === 0) {
+      recordFailure(results, row, "Variant not found", `Variant not found for ${field}: ${match.value}`);
+      continue;
+    }
+    if (candidates.length > 1) {
+      const reason = `${field} matches ${candidates.length} variants`;
+      recordFailure(results, row, reason, `Skipped ${field} ${match.value}: ${reason}`);
+      continue;
+    }
+
+    const variant = candidates[0];
+    const sku = variant.sku || entry.sku;
+
+    const priceChange = entry.prices ? planPriceChange({ ...entry, sku }, variant) : null;
+    if (priceChange?.error) {
+      recordFailure(results, row, priceChange.error, `Skipped SKU ${sku}: ${priceChange.error}`);
+      continue;
+    }
+    const productConflict = entry.product ? productConflictOf(entry, variant, plan) : null;
+    if (productConflict) {
+      recordFailure(results, row, productConflict, `Skipped SKU ${sku}: ${productConflict}`);
+      continue;
+    }
+
+    const item = {
+      rowIndex: entry.rowIndex,
+      row,
+      sku,
+      locationId,
+      locationName: entry.locationName,
+      inventoryItemId: variant.inventoryItem.id,
+      currentQuantity: null,
+      quantity,
+      quantityName: entry.quantityName,
+    };
+    let conflict = null;
+    let activation = null;
+
+    const level = variant.inventoryItem.inventoryLevel;
+    if (quantity !== null && !level && activateMissing) {
+      activation = planActivation(entry, item, variant);
+      if (activation.error) {
+        recordFailure(results, row, activation.error, `Skipped SKU ${sku}: ${activation.error}`);
+        continue;
+      }
+    } else if (quantity !== null) {
+      if (!level) {
+        recordFailure(results, row, "SKU don't have this location", `Skipped SKU ${sku}: SKU don't have this location`);
+        continue;
+      }
+
+      item.currentQuantity =
+        level.quantities.find((q) => q.name === entry.quantityName)?.quantity || 0;
+
+      // For a delta the plan keeps the quantity it expects afterwards, so the
+      // preview can show it next to the current one. Only available has an
+      // adjust mutation; a delta of any other quantity is written as the
+      // quantity it leads to.
+      if (entry.isDelta) {
+        item.quantity = item.currentQuantity + quantity;
+        if (entry.quantityName === "available") {
+          item.delta = quantity;
+        }
+      } else if (entry.exportedQuantity !== null && entry.quantityName === "available") {
+        item.compareQuantity = item.currentQuantity;
+        conflict = planConflict(entry, item);
+      }
+    }
+
+    if (priceChange) {
+      plan.priceChanges.push(priceChange);
+    }
+    const productChanged = entry.product ? planProductChange(plan, entry, variant, tagsMode) : false;
+    if (activation) {
+      planTracking(plan, item, variant);
+      plan.activations.push(activation);
+    } else if (conflict) {
+      recordConflict(results, row, conflict);
+    } else if (quantity !== null && item.currentQuantity !== item.quantity) {
+      if (activateMissing) {
+        planTracking(plan, item, variant);
+      }
+      plan.changes.push(item);
+    } else if (!priceChange && !productChanged) {
+      recordSkip(results, row, unchangedReason(entry));
+      plan.unchanged.push(item);
+    }
+  }
+}
+
+// Stock that moved since the export is a conflict, unless it already is what
+// the sheet asks for. Returns the reason when the row has to be held back;
+// otherwise the item is updated to follow the row's conflict policy.
+function planConflict(entry, item) {
+  const { exportedQuantity, onConflict } = entry;
+  if (item.currentQuantity === exportedQuantity || item.currentQuantity === item.quantity) {
+    return null;
+  }
+
+  if (onConflict === CONFLICT_POLICIES.SKIP) {
+    return `Stock changed since export: exported ${exportedQuantity}, now ${item.currentQuantity}`;
+  }
+
+  item.conflict = onConflict;
+  if (onConflict === CONFLICT_POLICIES.DELTA) {
+    item.quantity = item.currentQuantity + (item.quantity - exportedQuantity);
+  }
+  return null;
+}
+
+function unchangedReason({ quantity, isDelta, prices, product }) {
+  if (isDelta && quantity === 0) {
+    return "Adjustment is zero";
+  }
+  const matching = [quantity !== null && "quantity", prices && "price", product && "product"].filter(Boolean);
+  const names = matching.length > 1 ? `${matching.slice(0, -1).join(", ")} and ${matching.at(-1)}` : matching[0];
+  return `${names[0].toUpperCase()}${names.slice(1)} already ${matching.length > 1 ? "match" : "matches"}`;
+}
+
+// `productFields` remembers the product values of the rows planned so far,
+// which later rows of the same product are checked against.
+export function createImportPlan() {
+  return {
+    creations: [],
+    trackings: [],
+    activations: [],
+    changes: [],
+    priceChanges: [],
+    productChanges: [],
+    productFields: {},
+    unchanged: [],
+  };
+}
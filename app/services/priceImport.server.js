@@ -0,0 +1,212 @@
+import { adminGraphql } from "./adminGraphql.server";
+import { recordFailure } from "./importResults.server";
+
+// Price and compare-at price columns of an import. A price belongs to the
+// variant, not to a location, so with "All Locations" the same value repeats
+// on every location row of a SKU; only the first of those rows carries the
+// change.
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+// Accepts plain numbers as well as "12.50" or "$12.50" from text cells.
+function parsePrice(value, label) {
+  const text = String(value).trim().replace(/^\$/, "");
+  const price = Number(text);
+
+  if (text === "" || isNaN(price)) {
+    return { error: `Invalid ${label} '${value}'` };
+  }
+  if (price < 0) {
+    return { error: `${label} cannot be negative` };
+  }
+
+  return { value: price.toFixed(2) };
+}
+
+// Reads the price columns of a row. Returns `{ prices }` with the values to
+// set, `{ prices: null }` when the row does not change prices, or `{ error }`.
+// A blank cell leaves that price as it is; a compare-at price of 0 removes it.
+export function checkPriceColumns(row) {
+  const priceRaw = row["Price"];
+  const compareAtRaw = row["CompareAt Price"];
+  if (isBlank(priceRaw) && isBlank(compareAtRaw)) {
+    return { prices: null };
+  }
+
+  const prices = {};
+  if (!isBlank(priceRaw)) {
+    const price = parsePrice(priceRaw, "Price");
+    if (price.error) {
+      return price;
+    }
+    prices.price = price.value;
+  }
+  if (!isBlank(compareAtRaw)) {
+    const compareAtPrice = parsePrice(compareAtRaw, "CompareAt Price");
+    if (compareAtPrice.error) {
+      return compareAtPrice;
+    }
+    prices.compareAtPrice = Number(compareAtPrice.value) === 0 ? null : compareAtPrice.value;
+  }
+
+  return { prices };
+}
+
+// Gives the prices of a row to the variant identified by `key`. Rows claim
+// their prices only once duplicate rows are resolved, in the order of the
+// file, so a row that replaced an earlier one brings its own. Returns
+// `{ prices }` for the first row of the variant, `{ prices: null }` for a
+// later row that repeats them, or `{ error }`.
+export function claimPrices(context, key, prices) {
+  if (!prices) {
+    return { prices: null };
+  }
+
+  const seen = context.pricesByVariant.get(key);
+  if (!seen) {
+    context.pricesByVariant.set(key, prices);
+    return { prices };
+  }
+
+  if (seen.price !== prices.price || seen.compareAtPrice !== prices.compareAtPrice) {
+    return { error: "Conflicting price for this variant in another row" };
+  }
+
+  return { prices: null };
+}
+
+// Prices come back from the API as "12.50" but may be written as "12.5";
+// a missing compare-at price is `null`.
+export function pricesMatch(a, b) {
+  const samePrice = Number(a.price) === Number(b.price);
+  const sameCompareAtPrice =
+    a.compareAtPrice == null || b.compareAtPrice == null
+      ? (a.compareAtPrice ?? null) === (b.compareAtPrice ?? null)
+      : Number(a.compareAtPrice) === Number(b.compareAtPrice);
+  return samePrice && sameCompareAtPrice;
+}
+
+// Compares the row's prices with the variant's and returns the change to
+// make, `null` when both already match, or `{ error }`.
+export function planPriceChange(entry, variant) {
+  const currentPrice = variant.price;
+  const currentCompareAtPrice = variant.compareAtPrice ?? null;
+  const price = entry.prices.price ?? currentPrice;
+  const compareAtPrice =
+    entry.prices.compareAtPrice === undefined ? currentCompareAtPrice : entry.prices.compareAtPrice;
+
+  if (compareAtPrice !== null && Number(compareAtPrice) < Number(price)) {
+    return { error: `CompareAt Price ${compareAtPrice} is below Price ${price}` };
+  }
+
+  if (pricesMatch({ price, compareAtPrice }, { price: currentPrice, compareAtPrice: currentCompareAtPrice })) {
+    return null;
+  }
+
+  return {
+    rowIndex: entry.rowIndex,
+    row: entry.row,
+    sku: entry.sku,
+    productId: variant.product.id,
+    variantId: variant.id,
+    currentPrice,
+    price,
+    currentCompareAtPrice,
+    compareAtPrice,
+  };
+}
+
+// userErrors point at the variant with a path like ["variants", "0", "price"].
+function variantIndexOf(userError) {
+  const field = userError.field || [];
+  const position = field.indexOf("variants");
+  return position === -1 ? null : Number(field[position + 1]);
+}
+
+// Sets the prices of some variants of one product and returns the messages of
+// the variants that were rejected, by position; a rejection that cannot be
+// tied to a variant is kept under "all". Partial updates are allowed so that
+// a rejected variant does not hold back its siblings.
+export async function updateVariantPrices(admin, productId, variants) {
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    mutation updateVariantPrices($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+      productVariantsBulkUpdate(productId: $productId, variants: $variants, allowPartialUpdates: true) {
+        productVariants {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      productId,
+      variants: variants.map(({ variantId, price, compareAtPrice }) => ({
+        id: variantId,
+        price,
+        compareAtPrice,
+      })),
+    },
+  );
+
+  const userErrors = data?.productVariantsBulkUpdate?.userErrors || [];
+  const rejected = new Map();
+  for (const userError of userErrors) {
+    const index = variantIndexOf(userError);
+    rejected.set(index !== null && variants[index] ? index : "all", userError.message);
+  }
+
+  return rejected;
+}
+
+export function groupByProduct(changes) {
+  const changesByProduct = new Map();
+  for (const change of changes) {
+    if (!changesByProduct.has(change.productId)) {
+      changesByProduct.set(change.productId, []);
+    }
+    changesByProduct.get(change.productId).push(change);
+  }
+
+  return changesByProduct;
+}
+
+// Sends one `productVariantsBulkUpdate` per product and returns the journal
+// of what was written.
+export async function applyPriceChanges(admin, changes, results) {
+  const applied = [];
+
+  for (const [productId, productChanges] of groupByProduct(changes)) {
+    // A product that cannot be updated fails alone; the ones before it are
+    // written and stay in the journal.
+    const rejected = await updateVariantPrices(admin, productId, productChanges).catch(
+      (error) => new Map([["all", error.message]]),
+    );
+
+    productChanges.forEach((change, index) => {
+      const message = rejected.get(index) ?? rejected.get("all");
+      if (message) {
+        recordFailure(results, change.row, `Price update failed: ${message}`, `Error updating price of SKU ${change.sku}: ${message}`);
+        return;
+      }
+
+      results.pricesUpdated++;
+      applied.push({
+        rowIndex: change.rowIndex,
+        kind: "PRICE",
+        sku: change.sku,
+        productId: change.productId,
+        variantId: change.variantId,
+        before: { price: change.currentPrice, compareAtPrice: change.currentCompareAtPrice },
+        after: { price: change.price, compareAtPrice: change.compareAtPrice },
+      });
+    });
+  }
+
+  return applied;
+}
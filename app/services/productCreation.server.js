@@ -0,0 +1,322 @@
+import { adminGraphql, searchQueryForValues } from "./adminGraphql.server";
+import { recordCreation, recordFailure } from "./importResults.server";
+
+// Upsert mode: rows that match no variant create one. Such rows are grouped
+// into new products by their handle, or their title when they have none, and
+// every product is created with its options, variants, prices and stock in a
+// single `productSet` call. Existing products are never touched, so a row for
+// a new variant of an existing product creates a product of its own.
+
+// Match keys that can name a variant that does not exist yet; IDs cannot.
+const CREATABLE_MATCH_KEYS = ["SKU", "BARCODE", "HANDLE"];
+
+// `productSet` takes initial stock for these quantities only.
+const INITIAL_QUANTITIES = ["available", "on_hand"];
+
+// The option Shopify gives a product without options.
+const DEFAULT_OPTION = { name: "Title", value: "Default Title" };
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+const text = (value) => (isBlank(value) ? "" : String(value).trim());
+
+// What the row says about the product it would create, keyed by import field.
+// Only read when the import creates missing products.
+export function newProductOf(matchKey, row) {
+  if (!CREATABLE_MATCH_KEYS.includes(matchKey)) {
+    return null;
+  }
+
+  return {
+    title: text(row["Product Title"]),
+    handle: text(row["Handle"]).toLowerCase(),
+    sku: text(row["SKU"]),
+    barcode: text(row["Barcode"]),
+    optionNames: [1, 2, 3].map((n) => text(row[`Option${n} Name`]) || `Option ${n}`),
+    optionValues: [1, 2, 3].map((n) => text(row[`Option${n} Value`])).filter(Boolean),
+  };
+}
+
+const optionKey = (values) => values.map((value) => value.toLowerCase()).join("|");
+
+// Adds a row that matched no variant to the product it creates in
+// `plan.creations`. Returns `{ error }` when the row cannot create one.
+export function planCreation(plan, entry) {
+  const { newProduct, quantity } = entry;
+  const groupKey = newProduct.handle || newProduct.title.toLowerCase();
+  if (!groupKey) {
+    return { error: "Variant not found, and the row has no Product Title or Handle to create it" };
+  }
+  if (quantity !== null && !INITIAL_QUANTITIES.includes(entry.quantityName)) {
+    return { error: "Only available or on hand quantities can be set for a new product" };
+  }
+
+  let creation = plan.creations.find((planned) => planned.groupKey === groupKey);
+  if (!creation) {
+    creation = {
+      groupKey,
+      rowIndex: entry.rowIndex,
+      row: entry.row,
+      sku: entry.sku,
+      title: newProduct.title || newProduct.handle,
+      handle: newProduct.handle || null,
+      product: entry.product || {},
+      optionNames: newProduct.optionNames.slice(0, newProduct.optionValues.length),
+      variants: [],
+    };
+    plan.creations.push(creation);
+  } else if (entry.product) {
+    // Like the rows of an existing product, those of a new one must agree on
+    // its values.
+    const differs = Object.entries(entry.product).some(
+      ([field, value]) => creation.product[field] !== undefined && JSON.stringify(creation.product[field]) !== JSON.stringify(value),
+    );
+    if (differs) {
+      return { error: `Conflicting product values for '${creation.title}' in another row` };
+    }
+    creation.product = { ...entry.product, ...creation.product };
+  }
+
+  let variant = creation.variants.find((planned) => planned.matchKey === entry.match.key);
+  if (!variant) {
+    if (newProduct.optionValues.length !== creation.optionNames.length) {
+      return { error: `A new variant of '${creation.title}' needs ${creation.optionNames.length} option values, like its other rows` };
+    }
+    const taken = creation.variants.find((planned) => optionKey(planned.optionValues) === optionKey(newProduct.optionValues));
+    if (taken) {
+      return { error: `The option values of this row are already used by SKU ${taken.sku} of '${creation.title}'` };
+    }
+
+    variant = {
+      matchKey: entry.match.key,
+      sku: newProduct.sku,
+      barcode: newProduct.barcode,
+      optionValues: newProduct.optionValues,
+      prices: entry.prices || {},
+      quantities: [],
+      rows: [],
+    };
+    creation.variants.push(variant);
+  }
+
+  // A delta counts from zero, as for any new stock.
+  if (quantity !== null) {
+    variant.quantities.push({
+      locationId: entry.locationId,
+      locationName: entry.locationName,
+      name: entry.quantityName,
+      quantity,
+    });
+  }
+  variant.rows.push({ rowIndex: entry.rowIndex, row: entry.row });
+  return { creation };
+}
+
+// The `productSet` input for a planned product. Its status comes from a
+// Status column, and is draft without one so the new product can be checked
+// before it goes on sale.
+function productSetInput(creation) {
+  const { product, optionNames } = creation;
+  const options = optionNames.length > 0 ? optionNames : [DEFAULT_OPTION.name];
+  const valuesOf = (variant) => (variant.optionValues.length > 0 ? variant.optionValues : [DEFAULT_OPTION.value]);
+
+  return {
+    title: product.title || creation.title,
+    ...(creation.handle ? { handle: creation.handle } : {}),
+    status: product.status || "DRAFT",
+    ...(product.vendor ? { vendor: product.vendor } : {}),
+    ...(product.productType ? { productType: product.productType } : {}),
+    ...(product.tags ? { tags: product.tags } : {}),
+    ...(product.descriptionHtml ? { descriptionHtml: product.descriptionHtml } : {}),
+    productOptions: options.map((name, index) => ({
+      name,
+      values: [...new Set(creation.variants.map((variant) => valuesOf(variant)[index]))].map((value) => ({ name: value })),
+    })),
+    variants: creation.variants.map((variant) => ({
+      optionValues: valuesOf(variant).map((name, index) => ({ optionName: options[index], name })),
+      ...(variant.sku ? { sku: variant.sku } : {}),
+      ...(variant.barcode ? { barcode: variant.barcode } : {}),
+      ...(variant.prices.price ? { price: variant.prices.price } : {}),
+      ...(variant.prices.compareAtPrice ? { compareAtPrice: variant.prices.compareAtPrice } : {}),
+      inventoryItem: { tracked: true },
+      inventoryQuantities: variant.quantities.map(({ locationId, name, quantity }) => ({ locationId, name, quantity })),
+    })),
+  };
+}
+
+const CREATED_PRODUCT_FIELDS = `#graphql
+  fragment CreatedProduct on Product {
+    id
+    title
+    status
+    createdAt
+    variants(first: 250) {
+      nodes {
+        id
+        sku
+        price
+        compareAtPrice
+        selectedOptions {
+          value
+        }
+        inventoryItem {
+          id
+        }
+      }
+    }
+  }`;
+
+async function createProduct(admin, creation) {
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    mutation createImportProduct($input: ProductSetInput!) {
+      productSet(input: $input, synchronous: true) {
+        product {
+          ...CreatedProduct
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+    ${CREATED_PRODUCT_FIELDS}`,
+    { input: productSetInput(creation) },
+  );
+
+  const result = data?.productSet;
+  return { product: result?.product ?? null, error: result?.userErrors?.[0]?.message ?? null };
+}
+
+// The product an earlier run of the same job created for a planned one, or
+// null. It is looked for by the handle it was given, or else by the SKU or
+// barcode of its first variant; only a product created since the job was
+// queued counts, so one that was there before is never taken for it.
+async function findCreatedProduct(admin, creation, since) {
+  const [variant] = creation.variants;
+  let product = null;
+  if (creation.handle) {
+    const data = await adminGraphql(
+      admin,
+      `#graphql
+      query findImportProduct($handle: String!) {
+        productByIdentifier(identifier: { handle: $handle }) {
+          ...CreatedProduct
+        }
+      }
+      ${CREATED_PRODUCT_FIELDS}`,
+      { handle: creation.handle },
+    );
+    product = data?.productByIdentifier ?? null;
+  } else if (variant?.sku || variant?.barcode) {
+    const data = await adminGraphql(
+      admin,
+      `#graphql
+      query findImportVariant($query: String!) {
+        productVariants(first: 1, query: $query) {
+          nodes {
+            product {
+              ...CreatedProduct
+            }
+          }
+        }
+      }
+      ${CREATED_PRODUCT_FIELDS}`,
+      { query: variant.sku ? searchQueryForValues("sku", [variant.sku]) : searchQueryForValues("barcode", [variant.barcode]) },
+    );
+    product = data?.productVariants?.nodes?.[0]?.product ?? null;
+  }
+
+  return product && new Date(product.createdAt) >= new Date(since) ? product : null;
+}
+
+// Reports the rows of a created product with the IDs they got and returns its
+// journal entry: the product as Shopify stored it and the stock each variant
+// was given, which an undo checks before deleting it.
+function recordCreatedProduct(results, creation, product) {
+  const createdVariants = new Map(
+    product.variants.nodes.map((variant) => [optionKey(variant.selectedOptions.map((option) => option.value)), variant]),
+  );
+  const written = [];
+  for (const variant of creation.variants) {
+    const created = createdVariants.get(optionKey(variant.optionValues.length > 0 ? variant.optionValues : [DEFAULT_OPTION.value]));
+    for (const { row } of variant.rows) {
+      recordCreation(results, row, product.id, created?.id);
+    }
+    if (created) {
+      written.push({
+        id: created.id,
+        sku: created.sku,
+        price: created.price,
+        compareAtPrice: created.compareAtPrice,
+        inventoryItemId: created.inventoryItem.id,
+        quantities: variant.quantities.map(({ locationId, name, quantity }) => ({ locationId, name, quantity })),
+      });
+    }
+  }
+
+  results.created++;
+  return {
+    rowIndex: creation.rowIndex,
+    kind: "CREATION",
+    sku: creation.sku,
+    productId: product.id,
+    before: {},
+    after: { title: product.title, status: product.status, variants: written },
+  };
+}
+
+// Creates each planned product and returns the journal of what was written.
+// `since` is set when the batch may have been sent before: a product found
+// for a creation is journaled as it is instead of being created again.
+export async function applyCreations(admin, creations, results, since = null) {
+  const applied = [];
+
+  for (const creation of creations) {
+    const rows = creation.variants.flatMap((variant) => variant.rows);
+    let product = null;
+    let error = null;
+    try {
+      product = since ? await findCreatedProduct(admin, creation, since) : null;
+      if (!product) {
+        ({ product, error } = await createProduct(admin, creation));
+      }
+    } catch (thrown) {
+      error = thrown.message;
+    }
+
+    if (error || !product) {
+      const message = error || "The product was not created";
+      for (const { row } of rows) {
+        recordFailure(results, row, `Product could not be created: ${message}`, `Error creating product '${creation.title}': ${message}`);
+      }
+      continue;
+    }
+
+    applied.push(recordCreatedProduct(results, creation, product));
+  }
+
+  return applied;
+}
+
+// Deletes a product the import created. Returns the error, or null.
+export async function deleteProduct(admin, productId) {
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    mutation deleteImportProduct($input: ProductDeleteInput!) {
+      productDelete(input: $input) {
+        deletedProductId
+        userErrors {
+          message
+        }
+      }
+    }`,
+    { input: { id: productId } },
+  );
+
+  return data?.productDelete?.userErrors?.[0]?.message ?? null;
+}
@@ -0,0 +1,385 @@
+import readline from "node:readline";
+import { Readable } from "node:stream";
+import { adminGraphql } from "./adminGraphql.server";
+import { exportHeaders, LOCATION_COLUMNS } from "../utils/exportColumns";
+import { isExportedQuantityHeader, pivotExportedHeader, pivotQuantityHeader } from "../utils/importColumns";
+import { SPREADSHEET_FORMATS, writeSpreadsheet, writeWorkbook } from "../utils/spreadsheet";
+
+// Full-catalog export, run by the export worker outside of any request.
+//
+// Shopify collects the catalog with a bulk operation, which has no page or
+// cost limits, and hands back a JSONL file: one line per variant, followed
+// somewhere later by one line per inventory level carrying the variant's id
+// in `__parentId`. The export polls the operation, then reads that file into
+// the rows of the sheet and writes the file, which is kept with the job.
+
+// Bulk queries take no variables, so the search query is written into the
+// query text.
+const bulkExportQuery = (search) => `{
+  productVariants${search ? `(query: ${JSON.stringify(search)})` : ""} {
+    edges {
+      node {
+        id
+        sku
+        barcode
+        price
+        compareAtPrice
+        selectedOptions {
+          name
+          value
+        }
+        product {
+          id
+          title
+          handle
+          vendor
+          productType
+          tags
+        }
+        inventoryItem {
+          id
+          tracked
+          unitCost {
+            amount
+          }
+          measurement {
+            weight {
+              unit
+              value
+            }
+          }
+          inventoryLevels {
+            edges {
+              node {
+                location {
+                  id
+                  name
+                }
+                quantities(names: ["available", "on_hand", "committed", "incoming", "reserved", "damaged"]) {
+                  name
+                  quantity
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+const POLL_INTERVAL_MS = 2000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The bulk operation only reports how many objects it has collected so far.
+// Each variant is one object plus one per location it is stocked at, so the
+// variant and active location counts give the total to measure that against.
+export async function countCatalog(admin, search) {
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    query exportCounts($query: String) {
+      productVariantsCount(query: $query, limit: null) {
+        count
+      }
+      locations(first: 250) {
+        nodes {
+          isActive
+        }
+      }
+    }`,
+    { query: search },
+  );
+
+  const totalVariants = data?.productVariantsCount?.count || 0;
+  const activeLocations = (data?.locations?.nodes || []).filter((location) => location.isActive).length;
+
+  return { totalVariants, expectedObjects: totalVariants * (1 + Math.max(activeLocations, 1)) };
+}
+
+// `search` is a `productVariants` search query, or null for every variant.
+export async function startBulkExport(admin, search) {
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    mutation runExport($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { query: bulkExportQuery(search) },
+  );
+
+  const result = data?.bulkOperationRunQuery;
+  if (result?.userErrors?.length) {
+    throw new Error(result.userErrors[0].message);
+  }
+
+  return result.bulkOperation.id;
+}
+
+// Polls the bulk operation until it is done and returns it. `onProgress` gets
+// the number of objects collected so far.
+export async function waitForBulkOperation(admin, id, onProgress) {
+  for (;;) {
+    const data = await adminGraphql(
+      admin,
+      `#graphql
+      query exportOperation($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation {
+            id
+            status
+            errorCode
+            objectCount
+            url
+          }
+        }
+      }`,
+      { id },
+    );
+
+    const operation = data?.node;
+    if (!operation) {
+      throw new Error("The export operation no longer exists");
+    }
+    if (operation.status === "COMPLETED") {
+      return operation;
+    }
+    if (operation.status !== "CREATED" && operation.status !== "RUNNING") {
+      throw new Error(`Shopify could not collect the products (${operation.errorCode || operation.status})`);
+    }
+
+    await onProgress(Number(operation.objectCount || 0));
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+// Yields the objects of a bulk operation result file one at a time. A
+// completed operation that found nothing has no file at all.
+export async function* readBulkResults(url) {
+  if (!url) {
+    return;
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not download the export data (${response.status})`);
+  }
+
+  const lines = readline.createInterface({ input: Readable.fromWeb(response.body), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+// Every column for one variant at one location, or at none (`level` null).
+function exportValues(variant, level) {
+  const options = ["", "", ""];
+  variant.selectedOptions.slice(0, 3).forEach((option, index) => {
+    options[index] = option.value;
+  });
+
+  const { product, inventoryItem } = variant;
+  const weight = inventoryItem?.measurement?.weight;
+  const quantityOf = (name) => level?.quantities.find((quantity) => quantity.name === name)?.quantity ?? 0;
+  const available = level ? quantityOf("available") : null;
+
+  return {
+    "Product Title": product.title,
+    "Handle": product.handle,
+    "SKU": variant.sku || "",
+    "Option1 Value": options[0],
+    "Option2 Value": options[1],
+    "Option3 Value": options[2],
+    "Price": variant.price || "",
+    "CompareAt Price": variant.compareAtPrice || "",
+    "Inventory Location": level ? level.location.name : "N/A",
+    "Quantity Available": available ?? 0,
+    "Exported Quantity": available ?? "",
+    "Barcode": variant.barcode || "",
+    "Variant ID": variant.id,
+    "Product ID": product.id,
+    "Inventory Item ID": inventoryItem?.id || "",
+    "Location ID": level ? level.location.id : "",
+    "Vendor": product.vendor || "",
+    "Product Type": product.productType || "",
+    "Tags": (product.tags || []).join(", "),
+    "Weight": weight ? weight.value : "",
+    "Weight Unit": weight ? weight.unit : "",
+    "Unit Cost": inventoryItem?.unitCost?.amount ?? "",
+    "Tracked": inventoryItem ? (inventoryItem.tracked ? "Yes" : "No") : "",
+    "On Hand Quantity": level ? quantityOf("on_hand") : "",
+    "Committed Quantity": level ? quantityOf("committed") : "",
+    "Incoming Quantity": level ? quantityOf("incoming") : "",
+    "Reserved Quantity": level ? quantityOf("reserved") : "",
+    "Damaged Quantity": level ? quantityOf("damaged") : "",
+  };
+}
+
+function exportRow(variant, level, headers) {
+  const values = exportValues(variant, level);
+  return Object.fromEntries(headers.map((header) => [header, values[header]]));
+}
+
+// Reads the result file into the exported variants, grouped by product, each
+// with its inventory levels at the exported locations. With a single location
+// selected, variants that are not stocked there are left out; with all
+// locations, a variant stocked nowhere is kept without levels.
+async function collectVariants(objects, locationId) {
+  const isAllLocations = !locationId || locationId === "ALL_LOCATIONS";
+  const variants = new Map();
+  const levelsByParent = new Map();
+
+  for await (const object of objects) {
+    if (object.__parentId) {
+      if (!levelsByParent.has(object.__parentId)) {
+        levelsByParent.set(object.__parentId, []);
+      }
+      levelsByParent.get(object.__parentId).push(object);
+    } else {
+      variants.set(object.id, object);
+    }
+  }
+
+  const variantsByProduct = new Map();
+  for (const variant of variants.values()) {
+    if (!variantsByProduct.has(variant.product.id)) {
+      variantsByProduct.set(variant.product.id, []);
+    }
+    variantsByProduct.get(variant.product.id).push(variant);
+  }
+
+  const items = [];
+  for (const productVariants of variantsByProduct.values()) {
+    for (const variant of productVariants) {
+      const levels = (levelsByParent.get(variant.id) || levelsByParent.get(variant.inventoryItem?.id) || []).filter(
+        (level) => isAllLocations || level.location.id === locationId,
+      );
+      if (levels.length > 0 || isAllLocations) {
+        items.push({ variant, levels });
+      }
+    }
+  }
+  return items;
+}
+
+function locationsOf(items) {
+  const locations = new Map();
+  for (const { levels } of items) {
+    for (const level of levels) {
+      locations.set(level.location.id, level.location);
+    }
+  }
+  return [...locations.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// One row per variant and location.
+function rowsSheet(items, headers) {
+  const rows = [];
+  for (const { variant, levels } of items) {
+    if (levels.length === 0) {
+      rows.push(exportRow(variant, null, headers));
+    }
+    for (const level of levels) {
+      rows.push(exportRow(variant, level, headers));
+    }
+  }
+  return { name: "Products", columns: headers, rows };
+}
+
+// One row per variant, with the available quantity of each location in its
+// own column. The other per-location columns have no place in this layout.
+function pivotSheet(items, headers) {
+  const variantHeaders = headers.filter((header) => !LOCATION_COLUMNS.includes(header));
+  const locations = locationsOf(items);
+  const columns = [
+    ...variantHeaders,
+    ...locations.map((location) => pivotQuantityHeader(location.name)),
+    ...locations.map((location) => pivotExportedHeader(location.name)),
+  ];
+
+  const rows = items.map(({ variant, levels }) => {
+    const row = exportRow(variant, null, variantHeaders);
+    for (const level of levels) {
+      const { "Quantity Available": quantity } = exportValues(variant, level);
+      row[pivotQuantityHeader(level.location.name)] = quantity;
+      row[pivotExportedHeader(level.location.name)] = quantity;
+    }
+    return row;
+  });
+
+  return { name: "Products", columns, rows };
+}
+
+// Worksheet names are at most 31 characters, unique, and without []:*?/\.
+function worksheetName(name, used) {
+  const base = name.replace(/[[\]:*?/\\]/g, " ").trim().slice(0, 31) || "Location";
+  let unique = base;
+  for (let n = 2; used.has(unique.toLowerCase()); n++) {
+    unique = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+  }
+  used.add(unique.toLowerCase());
+  return unique;
+}
+
+// One worksheet per location. Every sheet names its location in a column, so
+// that the importer can read the workbook as one list of location rows;
+// variants stocked nowhere have no sheet to go on.
+function locationSheets(items, headers) {
+  const sheetHeaders = headers.includes("Inventory Location") ? headers : ["Inventory Location", ...headers];
+  const used = new Set();
+
+  return locationsOf(items).map((location) => ({
+    name: worksheetName(location.name, used),
+    columns: sheetHeaders,
+    rows: items.flatMap(({ variant, levels }) =>
+      levels
+        .filter((level) => level.location.id === location.id)
+        .map((level) => exportRow(variant, level, sheetHeaders)),
+    ),
+  }));
+}
+
+// Builds the worksheets of an export, with the chosen columns in the chosen
+// layout (see EXPORT_LAYOUTS). Rows are grouped by product.
+export async function buildExportSheets(objects, { locationId, columns, layout }) {
+  const headers = exportHeaders(columns);
+  const items = await collectVariants(objects, locationId);
+
+  if (layout === "PIVOT") {
+    return [pivotSheet(items, headers)];
+  }
+  if (layout === "SHEETS") {
+    const sheets = locationSheets(items, headers);
+    return sheets.length > 0 ? sheets : [{ name: "Products", columns: headers, rows: [] }];
+  }
+  return [rowsSheet(items, headers)];
+}
+
+// Writes the worksheets to the job's file format; CSV and TSV hold a single
+// one. The name carries the date so that downloads from the history do not
+// overwrite each other.
+export async function writeExportFile(sheets, { format }, date = new Date()) {
+  const hiddenColumns = [...new Set(sheets.flatMap((sheet) => sheet.columns.filter(isExportedQuantityHeader)))];
+  const blob =
+    format === "XLSX"
+      ? await writeWorkbook(sheets, { hiddenColumns })
+      : await writeSpreadsheet(sheets[0].rows, format, { columns: sheets[0].columns });
+  const stamp = date.toISOString().slice(0, 16).replace("T", "_").replace(":", "");
+
+  return {
+    fileName: `products_export_${stamp}.${SPREADSHEET_FORMATS[format].extension}`,
+    file: Buffer.from(await blob.arrayBuffer()),
+  };
+}
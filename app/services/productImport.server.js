@@ -0,0 +1,192 @@
+import { adminGraphql } from "./adminGraphql.server";
+import { recordFailure } from "./importResults.server";
+import { PRODUCT_STATUSES } from "../utils/importColumns";
+
+// Product columns of an import: title, status, vendor, type, tags and
+// description. They belong to the product, so every variant row of a product
+// repeats them; the values are gathered per product and written with one
+// `productUpdate`, and a row that disagrees with an earlier row of its product
+// fails. A product's change is journalled under the first row that set it.
+
+// Import field, product field and how a value is named in messages.
+const PRODUCT_FIELDS = [
+  { key: "Product Title", field: "title", label: "Title" },
+  { key: "Status", field: "status", label: "Status" },
+  { key: "Vendor", field: "vendor", label: "Vendor" },
+  { key: "Product Type", field: "productType", label: "Product Type" },
+  { key: "Tags", field: "tags", label: "Tags" },
+  { key: "Description", field: "descriptionHtml", label: "Description" },
+];
+
+// How the Tags column is applied to the product's tags.
+export const TAGS_MODES = {
+  REPLACE: "REPLACE",
+  ADD: "ADD",
+  REMOVE: "REMOVE",
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+function parseTags(value) {
+  return [...new Set(String(value).split(",").map((tag) => tag.trim()).filter(Boolean))];
+}
+
+const sameTags = (a, b) =>
+  a.length === b.length && a.every((tag) => b.some((other) => other.toLowerCase() === tag.toLowerCase()));
+
+const sameValue = (field, a, b) => (field === "tags" ? sameTags(a, b) : a === b);
+
+// Reads the product columns of a row. Returns `{ product }` with the values
+// the row sets, keyed by product field, `{ product: null }` when it sets none,
+// or `{ error }`. A blank cell leaves that field as it is.
+export function checkProductColumns(row) {
+  const product = {};
+
+  for (const { key, field } of PRODUCT_FIELDS) {
+    if (isBlank(row[key])) {
+      continue;
+    }
+    const text = String(row[key]).trim();
+
+    if (field === "status") {
+      if (!PRODUCT_STATUSES.includes(text.toUpperCase())) {
+        return { error: `Invalid Status '${text}', use ${PRODUCT_STATUSES.join(", ")}` };
+      }
+      product.status = text.toUpperCase();
+    } else if (field === "tags") {
+      product.tags = parseTags(text);
+    } else {
+      product[field] = text;
+    }
+  }
+
+  return { product: Object.keys(product).length > 0 ? product : null };
+}
+
+// The tags the product ends up with.
+function tagsAfter(current, tags, tagsMode) {
+  if (tagsMode === TAGS_MODES.ADD) {
+    return [...current, ...tags.filter((tag) => !current.some((other) => other.toLowerCase() === tag.toLowerCase()))];
+  }
+  if (tagsMode === TAGS_MODES.REMOVE) {
+    return current.filter((tag) => !tags.some((other) => other.toLowerCase() === tag.toLowerCase()));
+  }
+  return tags;
+}
+
+// Returns why the row's product values disagree with an earlier row of the
+// same product, or null. `plan.productFields` holds the values the rows
+// planned so far set, by product ID.
+export function productConflictOf(entry, variant, plan) {
+  const earlier = plan.productFields[variant.product.id];
+  if (!earlier) {
+    return null;
+  }
+
+  for (const { field, label } of PRODUCT_FIELDS) {
+    if (entry.product[field] !== undefined && earlier[field] !== undefined && !sameValue(field, entry.product[field], earlier[field])) {
+      return `Conflicting ${label} for this product in another row`;
+    }
+  }
+  return null;
+}
+
+// Adds the row's product values to the plan: fields an earlier row of the
+// product already set are left to it, the others join the product's single
+// entry in `plan.productChanges`. Returns whether the row changes anything.
+export function planProductChange(plan, entry, variant, tagsMode) {
+  const { product } = variant;
+  const earlier = plan.productFields[product.id] || {};
+  plan.productFields[product.id] = { ...entry.product, ...earlier };
+
+  const current = {};
+  const wanted = {};
+  for (const { field } of PRODUCT_FIELDS) {
+    if (entry.product[field] === undefined || earlier[field] !== undefined) {
+      continue;
+    }
+    const value = field === "tags" ? tagsAfter(product.tags, entry.product.tags, tagsMode) : entry.product[field];
+    const currentValue = product[field] ?? "";
+    if (!sameValue(field, value, currentValue)) {
+      current[field] = currentValue;
+      wanted[field] = value;
+    }
+  }
+
+  if (Object.keys(wanted).length === 0) {
+    return false;
+  }
+
+  const change = plan.productChanges.find((planned) => planned.productId === product.id);
+  if (change) {
+    Object.assign(change.current, current);
+    Object.assign(change.fields, wanted);
+  } else {
+    plan.productChanges.push({
+      rowIndex: entry.rowIndex,
+      row: entry.row,
+      sku: entry.sku,
+      productId: product.id,
+      current,
+      fields: wanted,
+    });
+  }
+  return true;
+}
+
+// Writes the given fields of a product. Returns the first error, or null.
+export async function updateProduct(admin, productId, fields) {
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    mutation updateProductFields($product: ProductUpdateInput!) {
+      productUpdate(product: $product) {
+        product {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { product: { id: productId, ...fields } },
+  );
+
+  return data?.productUpdate?.userErrors?.[0]?.message ?? null;
+}
+
+// Sends one `productUpdate` per change and returns the journal of what was
+// written.
+export async function applyProductChanges(admin, changes, results) {
+  const applied = [];
+
+  for (const change of changes) {
+    // Same as for prices: an error fails this product, not the ones before it.
+    const message = await updateProduct(admin, change.productId, change.fields).catch((error) => error.message);
+    if (message) {
+      recordFailure(results, change.row, `Product update failed: ${message}`, `Error updating product of SKU ${change.sku}: ${message}`);
+      continue;
+    }
+
+    results.productsUpdated++;
+    applied.push({
+      rowIndex: change.rowIndex,
+      kind: "PRODUCT",
+      sku: change.sku,
+      productId: change.productId,
+      before: change.current,
+      after: change.fields,
+    });
+  }
+
+  return applied;
+}
+
+// Whether the product still has every value the import wrote.
+export function productMatches(product, fields) {
+  return Object.entries(fields).every(([field, value]) => sameValue(field, value, product[field] ?? ""));
+}
+
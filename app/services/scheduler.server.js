@@ -0,0 +1,40 @@
+import { runDueExportSchedules } from "./exportScheduler.server";
+import { runDueImportSchedules } from "./importScheduler.server";
+
+// Starts scheduled imports and exports. Every minute the due schedules are
+// claimed and run; see importScheduler.server.js and exportScheduler.server.js.
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Same as the workers: one timer per process, kept on `global` so the dev
+// server does not start a second one.
+const scheduler = global.scheduler ?? { started: false, checking: false };
+global.scheduler = scheduler;
+
+export function startScheduler() {
+  if (scheduler.started) {
+    return;
+  }
+  scheduler.started = true;
+
+  setInterval(checkSchedules, CHECK_INTERVAL_MS).unref();
+  checkSchedules();
+}
+
+// A check that takes longer than a minute is not overlapped by the next one.
+// An export that cannot be queued does not hold up the imports, or the
+// other way around.
+function checkSchedules() {
+  if (scheduler.checking) {
+    return;
+  }
+  scheduler.checking = true;
+
+  const now = new Date();
+  Promise.all([
+    runDueImportSchedules(now).catch((error) => console.error("Scheduled imports could not be checked", error)),
+    runDueExportSchedules(now).catch((error) => console.error("Scheduled exports could not be checked", error)),
+  ]).finally(() => {
+    scheduler.checking = false;
+  });
+}
@@ -0,0 +1,42 @@
+import { adminGraphql } from "./adminGraphql.server";
+
+// The staff member behind an admin request, as recorded with an import.
+// The app uses offline sessions, which are the shop's rather than a user's,
+// so the user id comes from the request's session token and the name and
+// email are looked up with it. Shopify only answers that lookup on Plus and
+// Advanced plans; elsewhere the import keeps just the id.
+export async function staffUserOf({ admin, session, sessionToken }) {
+  const userId = session.userId ?? sessionToken?.sub;
+  const user = {
+    userId: userId ? String(userId) : null,
+    userEmail: session.email || null,
+    userName: [session.firstName, session.lastName].filter(Boolean).join(" ") || null,
+  };
+  if (!user.userId || user.userEmail) {
+    return user;
+  }
+
+  try {
+    const data = await adminGraphql(
+      admin,
+      `#graphql
+      query importStaffMember($id: ID!) {
+        staffMember(id: $id) {
+          firstName
+          lastName
+          email
+        }
+      }`,
+      { id: `gid://shopify/StaffMember/${user.userId}` },
+    );
+    const staffMember = data?.staffMember;
+    if (staffMember) {
+      user.userEmail = staffMember.email || null;
+      user.userName = [staffMember.firstName, staffMember.lastName].filter(Boolean).join(" ") || null;
+    }
+  } catch (error) {
+    console.error(`Staff member ${user.userId} could not be looked up`, error);
+  }
+
+  return user;
+}
@@ -0,0 +1,226 @@
+import { adminGraphql, searchQueryForValues } from "./adminGraphql.server";
+import { MATCH_KEYS } from "../utils/importColumns";
+
+// Finds the variants import rows are about, by the match key chosen for the
+// import (see MATCH_KEYS). Every lookup returns all variants that match a key
+// exactly: a key that matches more than one variant is reported by the
+// importer, never guessed.
+
+const VARIANT_FIELDS = `#graphql
+  fragment ImportVariant on ProductVariant {
+    id
+    sku
+    barcode
+    price
+    compareAtPrice
+    selectedOptions {
+      value
+    }
+    product {
+      id
+      handle
+      title
+      status
+      vendor
+      productType
+      tags
+      descriptionHtml
+    }
+    inventoryItem {
+      id
+      tracked
+      inventoryLevel(locationId: $locationId) {
+        quantities(names: ["available", "on_hand", "damaged", "quality_control", "safety_stock", "reserved"]) {
+          quantity
+          name
+        }
+      }
+    }
+  }`;
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+// IDs may be written as a GID or as the number at its end, which is what the
+// admin shows in URLs.
+function toGid(value, type) {
+  const match = /^(?:gid:\/\/shopify\/(\w+)\/)?(\d+)$/.exec(value);
+  if (!match || (match[1] && match[1] !== type)) {
+    return null;
+  }
+  return `gid://shopify/${type}/${match[2]}`;
+}
+
+const lower = (value) => String(value ?? "").toLowerCase();
+
+// Reads the match key of a row, keyed by import field. Returns `{ type, key,
+// value }`, where `key` identifies the variant within the import (lookups and
+// duplicate detection) and `value` is how the row names it; or `{ error }`.
+export function matchOf(matchKey, fields) {
+  const { field } = MATCH_KEYS[matchKey];
+  const value = isBlank(fields[field]) ? "" : String(fields[field]).trim();
+  if (!value) {
+    return { error: `${field} is missing` };
+  }
+
+  if (matchKey === "VARIANT_ID" || matchKey === "INVENTORY_ITEM_ID") {
+    const key = toGid(value, matchKey === "VARIANT_ID" ? "ProductVariant" : "InventoryItem");
+    return key ? { type: matchKey, key, value } : { error: `Invalid ${field} '${value}'` };
+  }
+
+  if (matchKey === "HANDLE") {
+    const options = [1, 2, 3].map((n) => fields[`Option${n} Value`]).map((option) => (isBlank(option) ? "" : String(option).trim()));
+    return {
+      type: matchKey,
+      key: lower([value, ...options].join("|")),
+      value: [value, ...options.filter(Boolean)].join(" / "),
+      handle: lower(value),
+      options: options.map(lower),
+    };
+  }
+
+  return { type: matchKey, key: lower(value), value };
+}
+
+async function searchVariants(admin, query, locationId) {
+  const variants = [];
+  let after = null;
+
+  do {
+    const data = await adminGraphql(
+      admin,
+      `#graphql
+      query findImportVariants($query: String!, $locationId: ID!, $after: String) {
+        productVariants(first: 250, query: $query, after: $after) {
+          nodes {
+            ...ImportVariant
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+      ${VARIANT_FIELDS}`,
+      { query, locationId, after },
+    );
+
+    variants.push(...(data?.productVariants?.nodes || []));
+    const pageInfo = data?.productVariants?.pageInfo;
+    after = pageInfo?.hasNextPage ? pageInfo.endCursor : null;
+  } while (after);
+
+  return variants;
+}
+
+function groupBy(variants, keyOf) {
+  const groups = new Map();
+  for (const variant of variants) {
+    const key = keyOf(variant);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(variant);
+  }
+  return groups;
+}
+
+// The search is not exact, so SKUs and barcodes are confirmed on the variants
+// it returns.
+async function findByField(admin, searchField, variantField, matches, locationId) {
+  const values = [...new Set(matches.map((match) => match.value))];
+  const variants = await searchVariants(admin, searchQueryForValues(searchField, values), locationId);
+  return groupBy(variants, (variant) => lower(variant[variantField]));
+}
+
+async function findByIds(admin, matches, locationId, isInventoryItem) {
+  const data = await adminGraphql(
+    admin,
+    isInventoryItem
+      ? `#graphql
+        query findImportInventoryItems($ids: [ID!]!, $locationId: ID!) {
+          nodes(ids: $ids) {
+            ... on InventoryItem {
+              id
+              variant {
+                ...ImportVariant
+              }
+            }
+          }
+        }
+        ${VARIANT_FIELDS}`
+      : `#graphql
+        query findImportVariantsById($ids: [ID!]!, $locationId: ID!) {
+          nodes(ids: $ids) {
+            ...ImportVariant
+          }
+        }
+        ${VARIANT_FIELDS}`,
+    { ids: [...new Set(matches.map((match) => match.key))], locationId },
+  );
+
+  const variantsByKey = new Map();
+  for (const node of data?.nodes || []) {
+    const variant = isInventoryItem ? node?.variant : node;
+    if (node?.id && variant?.id) {
+      variantsByKey.set(node.id, [variant]);
+    }
+  }
+  return variantsByKey;
+}
+
+// Handles lead to products, whose variants are then matched on the option
+// values the row gives. A row without option values only matches a product
+// that has a single variant.
+async function findByHandle(admin, matches, locationId) {
+  const handles = [...new Set(matches.map((match) => match.handle))];
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+    query findImportProducts($query: String!) {
+      products(first: 250, query: $query) {
+        nodes {
+          id
+          handle
+        }
+      }
+    }`,
+    { query: searchQueryForValues("handle", handles) },
+  );
+
+  const products = (data?.products?.nodes || []).filter((product) => handles.includes(lower(product.handle)));
+  const variantsByKey = new Map();
+  if (products.length === 0) {
+    return variantsByKey;
+  }
+
+  const productIds = products.map((product) => product.id.split("/").pop());
+  const variants = await searchVariants(admin, searchQueryForValues("product_id", productIds), locationId);
+  const variantsByHandle = groupBy(variants, (variant) => lower(variant.product.handle));
+
+  for (const match of matches) {
+    const candidates = (variantsByHandle.get(match.handle) || []).filter((variant) =>
+      match.options.every((option, index) => !option || lower(variant.selectedOptions[index]?.value) === option),
+    );
+    variantsByKey.set(match.key, candidates);
+  }
+  return variantsByKey;
+}
+
+// Looks up the matches of one batch, which all share a location. Returns the
+// variants found per match key, with their available quantity there.
+export async function findVariants(admin, matches, locationId) {
+  switch (matches[0].type) {
+    case "BARCODE":
+      return findByField(admin, "barcode", "barcode", matches, locationId);
+    case "VARIANT_ID":
+      return findByIds(admin, matches, locationId, false);
+    case "INVENTORY_ITEM_ID":
+      return findByIds(admin, matches, locationId, true);
+    case "HANDLE":
+      return findByHandle(admin, matches, locationId);
+    default:
+      return findByField(admin, "sku", "sku", matches, locationId);
+  }
+}
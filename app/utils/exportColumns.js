@@ -0,0 +1,78 @@
+// The columns an export can have. Keys are the headers written to the file;
+// the ones the importer understands use the same names as its fields (see
+// IMPORT_FIELDS), so an export can be edited and imported again as is.
+
+export const EXPORT_COLUMNS = [
+  { key: "Product Title", label: "Product title", isDefault: true },
+  { key: "Handle", label: "Product handle", isDefault: true },
+  { key: "SKU", label: "SKU", isDefault: true },
+  { key: "Option1 Value", label: "Option 1 value", isDefault: true },
+  { key: "Option2 Value", label: "Option 2 value", isDefault: true },
+  { key: "Option3 Value", label: "Option 3 value", isDefault: true },
+  { key: "Price", label: "Price", isDefault: true },
+  { key: "CompareAt Price", label: "Compare-at price", isDefault: true },
+  { key: "Inventory Location", label: "Location", isDefault: true },
+  { key: "Quantity Available", label: "Available quantity", isDefault: true },
+  { key: "Barcode", label: "Barcode" },
+  { key: "Variant ID", label: "Variant ID" },
+  { key: "Product ID", label: "Product ID" },
+  { key: "Inventory Item ID", label: "Inventory item ID" },
+  { key: "Location ID", label: "Location ID" },
+  { key: "Vendor", label: "Vendor" },
+  { key: "Product Type", label: "Product type" },
+  { key: "Tags", label: "Tags" },
+  { key: "Weight", label: "Weight" },
+  { key: "Weight Unit", label: "Weight unit" },
+  { key: "Unit Cost", label: "Unit cost" },
+  { key: "Tracked", label: "Inventory tracked" },
+  { key: "On Hand Quantity", label: "On hand quantity" },
+  { key: "Committed Quantity", label: "Committed quantity" },
+  { key: "Incoming Quantity", label: "Incoming quantity" },
+  { key: "Reserved Quantity", label: "Reserved quantity" },
+  { key: "Damaged Quantity", label: "Damaged quantity" },
+];
+
+// How rows are laid out. Rows has one row per variant and location; Pivot one
+// row per variant with a quantity column per location (see pivotQuantityHeader
+// in importColumns.js); Sheets one worksheet per location, which only XLSX
+// files can hold. The importer reads all three.
+export const EXPORT_LAYOUTS = {
+  ROWS: { label: "One row per variant and location" },
+  PIVOT: { label: "One row per variant, one quantity column per location" },
+  SHEETS: { label: "One worksheet per location (XLSX only)" },
+};
+
+// Columns that hold a value per location, which the pivot layout replaces
+// with its location columns.
+export const LOCATION_COLUMNS = [
+  "Inventory Location",
+  "Location ID",
+  "Quantity Available",
+  "Exported Quantity",
+  "On Hand Quantity",
+  "Committed Quantity",
+  "Incoming Quantity",
+  "Reserved Quantity",
+  "Damaged Quantity",
+];
+
+export const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.filter((column) => column.isDefault).map((column) => column.key);
+
+// Keeps the known columns of a list, in its order and without repeats. A list
+// sent by the browser or saved by an older version is not trusted as is.
+export function cleanExportColumns(columns) {
+  if (!Array.isArray(columns)) {
+    return [];
+  }
+  const known = new Set(EXPORT_COLUMNS.map((column) => column.key));
+  return [...new Set(columns)].filter((key) => known.has(key));
+}
+
+// The headers of an export's file, in order. The available quantity brings a
+// hidden copy of itself along, which the importer compares with the live stock
+// to catch sales made between export and import.
+export function exportHeaders(columns) {
+  const headers = cleanExportColumns(columns);
+  const chosen = headers.length > 0 ? headers : DEFAULT_EXPORT_COLUMNS;
+  return chosen.includes("Quantity Available") ? [...chosen, "Exported Quantity"] : chosen;
+}
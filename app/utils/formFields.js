@@ -0,0 +1,32 @@
+// Reads a field the page sends as JSON, returning `fallback` when it is left
+// out and undefined when it does not parse. Callers still check the shape.
+export function readJsonField(formData, name, fallback) {
+  const value = formData.get(name);
+  if (value === null || value === "") {
+    return fallback;
+  }
+  try {
+    return JSON.parse(String(value));
+  } catch {
+    return undefined;
+  }
+}
+
+export const isRecord = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+// The largest value of a Prisma `Int` column.
+const MAX_ID = 2147483647;
+
+// A record id from a form field or route parameter, or null unless it is a
+// whole number a table could hold.
+export function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 && id <= MAX_ID ? id : null;
+}
+
+// `value` when it is one of the keys of `options`, else `fallback`. Only the
+// object's own keys count, so names such as "constructor" are not taken.
+export function optionOf(options, value, fallback) {
+  const key = String(value ?? "");
+  return Object.hasOwn(options, key) ? key : fallback;
+}
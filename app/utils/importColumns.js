@@ -0,0 +1,342 @@
+// The fields an import understands and how a file's own headers map onto
+// them. Jobs keep the rows exactly as they were uploaded together with the
+// mapping, so results can be reported in the file's own layout; the importer
+// reads every row through `mapColumns`.
+//
+// Field keys are the headers of the app's own export, which therefore needs no
+// mapping at all.
+
+export const IMPORT_FIELDS = [
+  {
+    key: "SKU",
+    label: "SKU",
+    aliases: ["sku", "variant sku", "item code", "item number", "item no", "product code", "article number", "part number"],
+  },
+  {
+    key: "Barcode",
+    label: "Barcode",
+    aliases: ["barcode", "ean", "upc", "gtin", "isbn"],
+  },
+  {
+    key: "Variant ID",
+    label: "Variant ID",
+    aliases: ["variant id", "variant gid"],
+  },
+  {
+    key: "Inventory Item ID",
+    label: "Inventory item ID",
+    aliases: ["inventory item id", "inventory item gid"],
+  },
+  {
+    key: "Handle",
+    label: "Product handle",
+    aliases: ["handle", "product handle", "url handle"],
+  },
+  {
+    key: "Option1 Value",
+    label: "Option 1 value",
+    aliases: ["option1 value", "option 1", "option1"],
+  },
+  {
+    key: "Option2 Value",
+    label: "Option 2 value",
+    aliases: ["option2 value", "option 2", "option2"],
+  },
+  {
+    key: "Option3 Value",
+    label: "Option 3 value",
+    aliases: ["option3 value", "option 3", "option3"],
+  },
+  {
+    key: "Option1 Name",
+    label: "Option 1 name",
+    aliases: ["option1 name", "option 1 name"],
+  },
+  {
+    key: "Option2 Name",
+    label: "Option 2 name",
+    aliases: ["option2 name", "option 2 name"],
+  },
+  {
+    key: "Option3 Name",
+    label: "Option 3 name",
+    aliases: ["option3 name", "option 3 name"],
+  },
+  {
+    key: "Quantity Available",
+    label: "Quantity",
+    aliases: ["quantity", "qty", "available", "stock", "on hand", "stock level", "inventory"],
+  },
+  {
+    key: "Adjustment",
+    label: "Adjustment (+/-)",
+    aliases: ["adjust", "delta", "change", "qty change", "quantity change"],
+  },
+  {
+    key: "Inventory Location",
+    label: "Location",
+    aliases: ["location", "warehouse", "store", "site"],
+  },
+  {
+    key: "Price",
+    label: "Price",
+    aliases: ["price", "unit price", "retail price", "selling price"],
+  },
+  {
+    key: "CompareAt Price",
+    label: "Compare-at price",
+    aliases: ["compare at price", "compare-at price", "compareat price", "msrp", "rrp", "list price"],
+  },
+  {
+    key: "Product Title",
+    label: "Product title",
+    aliases: ["title", "product title", "product name"],
+  },
+  {
+    key: "Status",
+    label: "Product status",
+    aliases: ["status", "product status"],
+  },
+  {
+    key: "Vendor",
+    label: "Vendor",
+    aliases: ["vendor", "brand", "manufacturer"],
+  },
+  {
+    key: "Product Type",
+    label: "Product type",
+    aliases: ["product type", "type"],
+  },
+  {
+    key: "Tags",
+    label: "Tags",
+    aliases: ["tags", "product tags"],
+  },
+  {
+    key: "Description",
+    label: "Description",
+    aliases: ["description", "body", "body html", "body (html)", "product description"],
+  },
+  {
+    key: "Exported Quantity",
+    label: "Exported quantity",
+    aliases: [],
+  },
+  {
+    key: "On Conflict",
+    label: "On conflict",
+    aliases: [],
+  },
+  {
+    key: "Quantity Name",
+    label: "Quantity name",
+    aliases: ["quantity name", "quantity state", "inventory state", "stock state"],
+  },
+];
+
+// The inventory quantities an import can write. Shopify sets `available` and
+// `on_hand` directly; the other states only change by moving units between
+// them and `available`, so those are written as a move of the difference.
+export const QUANTITY_NAMES = {
+  available: { label: "Available", mutation: "SET" },
+  on_hand: { label: "On hand", mutation: "SET" },
+  damaged: { label: "Damaged", mutation: "MOVE" },
+  quality_control: { label: "Quality control", mutation: "MOVE" },
+  safety_stock: { label: "Safety stock", mutation: "MOVE" },
+  reserved: { label: "Reserved", mutation: "MOVE" },
+};
+
+// Reads a quantity name as written in a sheet, such as "Safety stock" or
+// "on_hand". Returns the QUANTITY_NAMES key, or null.
+export function quantityNameOf(value) {
+  const name = String(value ?? "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+  return Object.hasOwn(QUANTITY_NAMES, name) ? name : null;
+}
+
+// How rows find their variant. `field` is the column that has to be mapped;
+// a handle is combined with the option value columns.
+export const MATCH_KEYS = {
+  SKU: { label: "SKU", field: "SKU" },
+  BARCODE: { label: "Barcode", field: "Barcode" },
+  VARIANT_ID: { label: "Variant ID", field: "Variant ID" },
+  INVENTORY_ITEM_ID: { label: "Inventory item ID", field: "Inventory Item ID" },
+  HANDLE: { label: "Product handle and option values", field: "Handle" },
+};
+
+// The product statuses Shopify knows, which imports write and exports filter
+// on.
+export const PRODUCT_STATUSES = ["ACTIVE", "DRAFT", "ARCHIVED"];
+
+// How the product fields an import writes are named in its preview and
+// history, keyed by product field.
+export const PRODUCT_FIELD_LABELS = {
+  title: "Title",
+  status: "Status",
+  vendor: "Vendor",
+  productType: "Product type",
+  tags: "Tags",
+  descriptionHtml: "Description",
+};
+
+// Pivot files have a "Qty @ <Location>" column per location instead of a row
+// per location, each with a hidden "Exported Qty @ <Location>" that plays the
+// part of "Exported Quantity".
+const PIVOT_QUANTITY = /^qty @ (.+)$/i;
+
+export const pivotQuantityHeader = (locationName) => `Qty @ ${locationName}`;
+export const pivotExportedHeader = (locationName) => `Exported Qty @ ${locationName}`;
+
+// The copies of the exported quantities, which files hide from the user.
+export const isExportedQuantityHeader = (header) =>
+  header === "Exported Quantity" || header.startsWith(pivotExportedHeader(""));
+
+// The location a pivot quantity column is for, or null for any other column.
+export function pivotLocationOf(header) {
+  const match = PIVOT_QUANTITY.exec(String(header).trim());
+  return match ? match[1].trim() : null;
+}
+
+export function hasPivotColumns(headers) {
+  return headers.some((header) => pivotLocationOf(header) !== null);
+}
+
+const normalize = (header) => String(header).trim().toLowerCase().replace(/[\s_]+/g, " ");
+
+// Files with the same set of headers, in any order, share a saved mapping.
+export function headerSignature(headers) {
+  return [...new Set(headers.map(normalize))].sort().join("|");
+}
+
+// Maps each field to the first header that is its key or one of its aliases.
+export function guessColumnMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+
+  for (const field of IMPORT_FIELDS) {
+    const names = [normalize(field.key), ...field.aliases];
+    const header = headers.find((candidate) => !used.has(candidate) && names.includes(normalize(candidate)));
+    if (header !== undefined) {
+      mapping[field.key] = header;
+      used.add(header);
+    }
+  }
+
+  return mapping;
+}
+
+// Keeps the known fields of a mapping that point at one of the headers; a
+// mapping sent by the browser or saved for an older file is not trusted as is.
+export function cleanColumnMapping(mapping, headers) {
+  const cleaned = {};
+  for (const field of IMPORT_FIELDS) {
+    const header = mapping?.[field.key];
+    if (typeof header === "string" && headers.includes(header)) {
+      cleaned[field.key] = header;
+    }
+  }
+  return cleaned;
+}
+
+// A mapping needs at least one column that changes something.
+const VALUE_FIELDS = [
+  "Quantity Available",
+  "Adjustment",
+  "Price",
+  "CompareAt Price",
+  "Product Title",
+  "Status",
+  "Vendor",
+  "Product Type",
+  "Tags",
+  "Description",
+];
+
+// Returns why the mapping cannot be imported, or null. A pivot file brings its
+// own quantity and location columns.
+export function checkColumnMapping(mapping, { isAllLocationsMode, matchKey = "SKU", isPivot = false }) {
+  const { field } = MATCH_KEYS[matchKey];
+  if (!mapping[field]) {
+    return `Choose the column that holds the ${field}`;
+  }
+  if (isPivot) {
+    return null;
+  }
+  if (!VALUE_FIELDS.some((field) => mapping[field])) {
+    return "Choose a column with quantities, adjustments, prices or product fields";
+  }
+  if (isAllLocationsMode && !mapping["Inventory Location"]) {
+    return "Choose the column with the location, which All Locations needs";
+  }
+  return null;
+}
+
+// The row as the importer sees it: keyed by field. Without a mapping (jobs
+// from before mappings existed) the row already is.
+export function mapColumns(row, mapping) {
+  if (!mapping) {
+    return row;
+  }
+
+  const fields = {};
+  for (const [key, header] of Object.entries(mapping)) {
+    if (row[header] !== undefined) {
+      fields[key] = row[header];
+    }
+  }
+  return fields;
+}
+
+// Splits a pivot row into one row per location that has a quantity, keyed by
+// field like the rows of any other file. `fields` is the row through
+// `mapColumns`; `locationName` keeps only that location's column. A row with
+// no quantity for those locations, such as a variant stocked nowhere, has
+// nothing to import and gives none.
+export function unpivotRow(row, fields, locationName = null) {
+  const headersByName = new Map(Object.keys(row).map((header) => [header.trim().toLowerCase(), header]));
+  const rows = [];
+
+  for (const [header, value] of Object.entries(row)) {
+    const location = pivotLocationOf(header);
+    if (!location || value === undefined || value === null || String(value).trim() === "") {
+      continue;
+    }
+    if (locationName && location.toLowerCase() !== locationName.toLowerCase()) {
+      continue;
+    }
+
+    const exportedHeader = headersByName.get(pivotExportedHeader(location).toLowerCase());
+    rows.push({
+      ...fields,
+      "Inventory Location": location,
+      "Quantity Available": value,
+      "Exported Quantity": exportedHeader ? row[exportedHeader] : undefined,
+    });
+  }
+
+  return rows;
+}
+
+// Rows an import reported as failed or skipped, laid out like the file they
+// came from with `reasonColumn` added at the end, so they can be fixed and
+// uploaded again. Blank cells were dropped when the file was read, so the
+// columns come from its headers; jobs from before headers were kept fall back
+// to the columns the rows have. A pivot row reported for several locations is
+// written once, with all of its reasons.
+export function reportedRowsSheet(rows, headers, reasonColumn) {
+  const byRow = new Map();
+  for (const { [reasonColumn]: reason, ...row } of rows) {
+    const key = JSON.stringify(row);
+    const reported = byRow.get(key) ?? { row, reasons: [] };
+    if (!reported.reasons.includes(reason)) {
+      reported.reasons.push(reason);
+    }
+    byRow.set(key, reported);
+  }
+
+  // A file that was downloaded this way before already has the column.
+  const fileColumns = headers?.length ? headers : [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return {
+    columns: [...fileColumns.filter((header) => header !== reasonColumn), reasonColumn],
+    rows: [...byRow.values()].map(({ row, reasons }) => ({ ...row, [reasonColumn]: reasons.join("; ") })),
+  };
+}
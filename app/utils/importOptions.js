@@ -0,0 +1,45 @@
+import { optionOf } from "./formFields";
+
+// How an import treats rows it cannot take as they are. Each import keeps its
+// own choice, which starts from the shop's settings.
+
+// Rows that repeat the match key, location and quantity of an earlier row.
+export const DUPLICATE_ROWS = {
+  FIRST: { label: "Import the first row and skip the others" },
+  LAST: { label: "Import the last row and skip the others" },
+  ERROR: { label: "Import the first row and fail the others" },
+};
+
+// A blank quantity either counts as zero or leaves the row's stock alone.
+// Pivot files leave out the locations a row has no quantity for, so this only
+// applies to a quantity column.
+export const BLANK_QUANTITIES = {
+  ZERO: { label: "Count as zero" },
+  SKIP: { label: "Skip the quantity" },
+};
+
+// The reasons Shopify accepts for a change an import makes, shown in the
+// adjustment history of each item.
+export const ADJUSTMENT_REASONS = {
+  correction: { label: "Correction" },
+  cycle_count_available: { label: "Cycle count" },
+  damaged: { label: "Damaged" },
+  promotion: { label: "Promotion or donation" },
+  quality_control: { label: "Quality control" },
+  received: { label: "Received" },
+  restock: { label: "Restock" },
+  safety_stock: { label: "Safety stock" },
+  shrinkage: { label: "Shrinkage" },
+  other: { label: "Other" },
+};
+
+// The import options of a submitted form, falling back to `defaults` for
+// anything missing or unknown.
+export function readImportOptions(formData, defaults) {
+  const pick = (name, options) => optionOf(options, formData.get(name), defaults[name]);
+  return {
+    duplicateRows: pick("duplicateRows", DUPLICATE_ROWS),
+    blankQuantity: pick("blankQuantity", BLANK_QUANTITIES),
+    adjustmentReason: pick("adjustmentReason", ADJUSTMENT_REASONS),
+  };
+}
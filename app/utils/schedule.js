@@ -0,0 +1,156 @@
+// When scheduled imports and exports run: either a five-field cron expression
+// (minute, hour, day of month, month, day of week), read in UTC, or a fixed
+// interval in minutes. Shared with the pages, which check an expression before
+// it is saved and describe the schedule.
+
+export const SCHEDULE_TYPES = {
+  CRON: "CRON",
+  INTERVAL: "INTERVAL",
+};
+
+// Running more often than this only adds load for the same file.
+export const MIN_INTERVAL_MINUTES = 5;
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+// Expands one field, such as "*/15", "1-5" or "0,30", into the values it
+// allows. Throws with a message meant for the user.
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} '${part}'`);
+    }
+    const from = match[1] === "*" ? min : Number(match[2]);
+    const to = match[1] === "*" ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : from;
+    const step = match[4] ? Number(match[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid ${name} '${part}', use ${min} to ${max}`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Reads a cron expression. Returns the allowed values per field, or throws.
+export function parseCron(expression) {
+  const parts = String(expression ?? "").trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error("A cron expression has five fields: minute, hour, day of month, month and day of week");
+  }
+
+  // "L" in the day of month is the last day of the month, for month-end
+  // snapshots; it can be combined with other days, as in "15,L".
+  const dayParts = parts[2].split(",");
+  const lastDay = dayParts.includes("L");
+  const otherDays = dayParts.filter((part) => part !== "L");
+  parts[2] = otherDays.length > 0 ? otherDays.join(",") : null;
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) =>
+    part === null ? new Set() : parseField(part, CRON_FIELDS[index]),
+  );
+  // Sunday is 0 or 7.
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    lastDay,
+    months,
+    weekdays,
+    // As in cron, when both day fields are restricted a day matching either
+    // one runs.
+    anyDay: parts[2] !== "*" && parts[4] !== "*",
+  };
+}
+
+function isLastDayOfMonth(date) {
+  const next = new Date(date);
+  next.setUTCDate(date.getUTCDate() + 1);
+  return next.getUTCDate() === 1;
+}
+
+function dayMatches(cron, date) {
+  const day = cron.days.has(date.getUTCDate()) || (cron.lastDay && isLastDayOfMonth(date));
+  const weekday = cron.weekdays.has(date.getUTCDay());
+  return cron.anyDay ? day || weekday : day && weekday;
+}
+
+// The first minute after `after` that the expression matches. Skips whole
+// months, days and hours that cannot match, so even a yearly schedule takes
+// a few hundred steps.
+export function nextCronTime(expression, after) {
+  const cron = parseCron(expression);
+  const time = new Date(after);
+  time.setUTCSeconds(0, 0);
+  time.setUTCMinutes(time.getUTCMinutes() + 1);
+
+  // Five years covers every valid expression, including February 29th.
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (time.getTime() <= limit) {
+    if (!cron.months.has(time.getUTCMonth() + 1)) {
+      time.setUTCMonth(time.getUTCMonth() + 1, 1);
+      time.setUTCHours(0, 0);
+    } else if (!dayMatches(cron, time)) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0);
+    } else if (!cron.hours.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+
+  throw new Error("This cron expression never matches a date");
+}
+
+// When a schedule `{ scheduleType, cron, intervalMinutes }` runs next after
+// `after`.
+export function nextRunTime(schedule, after = new Date()) {
+  if (schedule.scheduleType === SCHEDULE_TYPES.INTERVAL) {
+    return new Date(after.getTime() + schedule.intervalMinutes * 60 * 1000);
+  }
+  return nextCronTime(schedule.cron, after);
+}
+
+// Returns why a schedule cannot be saved, or null.
+export function checkSchedule({ scheduleType, cron, intervalMinutes }) {
+  if (scheduleType === SCHEDULE_TYPES.INTERVAL) {
+    if (!Number.isInteger(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES) {
+      return `The interval must be a whole number of at least ${MIN_INTERVAL_MINUTES} minutes`;
+    }
+    return null;
+  }
+
+  try {
+    nextCronTime(cron, new Date());
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+export function describeSchedule({ scheduleType, cron, intervalMinutes }) {
+  if (scheduleType === SCHEDULE_TYPES.INTERVAL) {
+    return intervalMinutes % 60 === 0
+      ? `Every ${intervalMinutes / 60} hour${intervalMinutes === 60 ? "" : "s"}`
+      : `Every ${intervalMinutes} minutes`;
+  }
+  return `Cron ${cron} (UTC)`;
+}
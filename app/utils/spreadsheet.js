@@ -0,0 +1,292 @@
+import ExcelJS from "exceljs";
+
+// Reading and writing the sheets the import and export pages exchange with
+// users. Everything here runs in the browser as well as on the server, so it
+// works on ArrayBuffers and Blobs rather than files on disk.
+
+export const SPREADSHEET_FORMATS = {
+  XLSX: {
+    label: "Excel (.xlsx)",
+    extension: "xlsx",
+    mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  CSV: {
+    label: "CSV (comma separated)",
+    extension: "csv",
+    mimeType: "text/csv;charset=utf-8",
+  },
+  TSV: {
+    label: "TSV (tab separated)",
+    extension: "tsv",
+    mimeType: "text/tab-separated-values;charset=utf-8",
+  },
+};
+
+export const SPREADSHEET_ACCEPT = ".xlsx,.csv,.tsv,.txt";
+
+const DELIMITERS = [",", ";", "\t", "|"];
+
+function extensionOf(fileName) {
+  const match = /\.([^.]+)$/.exec(fileName || "");
+  return match ? match[1].toLowerCase() : "";
+}
+
+// The SPREADSHEET_FORMATS key to write rows of an uploaded file back in, so
+// they can be uploaded again the same way. Plain text files become CSV.
+export function spreadsheetFormatOf(fileName) {
+  const extension = extensionOf(fileName);
+  if (extension === "csv" || extension === "txt") {
+    return "CSV";
+  }
+  return extension === "tsv" ? "TSV" : "XLSX";
+}
+
+// A BOM settles the encoding. Without one, text that is not valid UTF-8 is
+// taken to be Windows-1252, which is what Excel on Windows writes when a sheet
+// is saved as plain CSV.
+export function decodeText(buffer) {
+  const bytes = new Uint8Array(buffer);
+
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return new TextDecoder("utf-8").decode(bytes.subarray(3));
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return new TextDecoder("utf-16le").decode(bytes.subarray(2));
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return new TextDecoder("utf-16be").decode(bytes.subarray(2));
+  }
+
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder("windows-1252").decode(bytes);
+  }
+}
+
+// Picks the delimiter that splits the header line into the most columns,
+// ignoring anything inside quotes.
+export function detectDelimiter(text) {
+  const counts = new Map(DELIMITERS.map((delimiter) => [delimiter, 0]));
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === "\n" || char === "\r")) {
+      break;
+    } else if (!quoted && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  let best = ",";
+  for (const [delimiter, count] of counts) {
+    if (count > counts.get(best)) {
+      best = delimiter;
+    }
+  }
+  return best;
+}
+
+// RFC 4180: fields may be quoted, quotes inside them are doubled, and quoted
+// fields may span lines.
+export function parseDelimited(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+function toRows(records) {
+  const headers = (records[0] || []).map((header) => String(header ?? "").trim());
+  const rows = [];
+
+  for (const record of records.slice(1)) {
+    const row = {};
+    headers.forEach((header, index) => {
+      const value = record[index];
+      if (header && value !== undefined && value !== null && value !== "") {
+        row[header] = value;
+      }
+    });
+    if (Object.keys(row).length > 0) {
+      rows.push(row);
+    }
+  }
+
+  return { headers: headers.filter(Boolean), rows };
+}
+
+// The value a cell shows. Formulas, rich text, hyperlinks and errors come as
+// objects; dates are written as the day, with the time only when there is one.
+function cellValue(value) {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (value.richText) {
+    return value.richText.map((part) => part.text).join("");
+  }
+  if ("formula" in value || "sharedFormula" in value) {
+    return cellValue(value.result);
+  }
+  if ("text" in value) {
+    return cellValue(value.text);
+  }
+  if ("error" in value) {
+    return value.error;
+  }
+  return undefined;
+}
+
+function worksheetRecords(worksheet) {
+  const records = [];
+  worksheet.eachRow((row, rowNumber) => {
+    const record = [];
+    row.eachCell((cell, colNumber) => {
+      record[colNumber - 1] = cellValue(cell.value);
+    });
+    records[rowNumber - 1] = record;
+  });
+  return records.filter(Boolean);
+}
+
+const sameHeaders = (a, b) => a.length === b.length && a.every((header) => b.includes(header));
+
+// Reads the first worksheet, followed by every other worksheet with the same
+// headers, as in a workbook exported with one worksheet per location. Sheets
+// with other headers, such as instructions, are left out.
+async function readWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const [first, ...others] = workbook.worksheets.map((worksheet) => toRows(worksheetRecords(worksheet)));
+  if (!first) {
+    return toRows([]);
+  }
+
+  const rows = [...first.rows];
+  for (const sheet of others) {
+    if (sameHeaders(sheet.headers, first.headers)) {
+      rows.push(...sheet.rows);
+    }
+  }
+  return { headers: first.headers, rows };
+}
+
+// Reads a file into `{ headers, rows }`, one object per row keyed by header.
+// The format is taken from the file name.
+export async function readSpreadsheet(fileName, buffer) {
+  const extension = extensionOf(fileName);
+
+  if (extension === "xls") {
+    throw new Error("Old Excel .xls files cannot be read. Save the file as .xlsx or CSV in Excel and upload it again.");
+  }
+  if (extension === "xlsx") {
+    return readWorkbook(buffer);
+  }
+  if (extension === "csv" || extension === "tsv" || extension === "txt") {
+    const text = decodeText(buffer);
+    const delimiter = extension === "tsv" ? "\t" : detectDelimiter(text);
+    return toRows(parseDelimited(text, delimiter));
+  }
+
+  throw new Error(`Unsupported file type '.${extension}'. Upload an .xlsx, .csv or .tsv file.`);
+}
+
+function quoteField(value, delimiter) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeDelimited(headers, rows, delimiter) {
+  const lines = [headers, ...rows.map((row) => headers.map((header) => row[header]))];
+  return lines.map((line) => line.map((value) => quoteField(value, delimiter)).join(delimiter)).join("\r\n");
+}
+
+// Writes rows to a Blob in the format with the given SPREADSHEET_FORMATS key.
+// CSV and TSV start with a UTF-8 BOM so that Excel does not read them as
+// Windows-1252. Columns in `hiddenColumns` are only hidden in XLSX; plain text
+// has no such thing. `columns` sets the headers and their order; without it
+// they are the keys of the first row.
+export async function writeSpreadsheet(rows, format, { sheetName = "Products", hiddenColumns = [], columns } = {}) {
+  const headers = columns || Object.keys(rows[0] || {});
+
+  if (format === "CSV" || format === "TSV") {
+    const delimiter = format === "TSV" ? "\t" : ",";
+    return new Blob(["\uFEFF", writeDelimited(headers, rows, delimiter)], { type: SPREADSHEET_FORMATS[format].mimeType });
+  }
+
+  return writeWorkbook([{ name: sheetName, columns: headers, rows }], { hiddenColumns });
+}
+
+// Writes an XLSX Blob with a worksheet per `{ name, columns, rows }`.
+export async function writeWorkbook(sheets, { hiddenColumns = [] } = {}) {
+  const workbook = new ExcelJS.Workbook();
+
+  for (const sheet of sheets) {
+    const worksheet = workbook.addWorksheet(sheet.name);
+    worksheet.addRow(sheet.columns);
+    sheet.rows.forEach((row) => worksheet.addRow(sheet.columns.map((header) => row[header])));
+
+    for (const column of hiddenColumns) {
+      const index = sheet.columns.indexOf(column) + 1;
+      if (index > 0) {
+        worksheet.getColumn(index).hidden = true;
+      }
+    }
+  }
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return new Blob([buffer], { type: SPREADSHEET_FORMATS.XLSX.mimeType });
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "ImportJob" ADD COLUMN     "appliedChanges" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "confirmedAt" TIMESTAMP(3),
+ADD COLUMN     "plan" JSONB,
+ADD COLUMN     "plannedAt" TIMESTAMP(3),
+ADD COLUMN     "preview" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "totalChanges" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ImportJob" ADD COLUMN     "mode" TEXT NOT NULL DEFAULT 'SET';
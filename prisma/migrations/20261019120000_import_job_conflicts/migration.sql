@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ImportJob" ADD COLUMN     "conflictPolicy" TEXT NOT NULL DEFAULT 'SKIP',
+ADD COLUMN     "conflictRows" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "ImportJob" ADD COLUMN     "rollbackResults" JSONB,
+ADD COLUMN     "rollbackStatus" TEXT,
+ADD COLUMN     "rolledBackAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ImportChange" (
+    "id" SERIAL NOT NULL,
+    "jobId" INTEGER NOT NULL,
+    "rowIndex" INTEGER NOT NULL,
+    "kind" TEXT NOT NULL,
+    "sku" TEXT NOT NULL,
+    "locationId" TEXT,
+    "inventoryItemId" TEXT,
+    "productId" TEXT,
+    "variantId" TEXT,
+    "before" JSONB NOT NULL,
+    "after" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revertedAt" TIMESTAMP(3),
+    "revertError" TEXT,
+
+    CONSTRAINT "ImportChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ImportJob_rollbackStatus_idx" ON "ImportJob"("rollbackStatus");
+
+-- CreateIndex
+CREATE INDEX "ImportChange_jobId_idx" ON "ImportChange"("jobId");
+
+-- AddForeignKey
+ALTER TABLE "ImportChange" ADD CONSTRAINT "ImportChange_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "ImportJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
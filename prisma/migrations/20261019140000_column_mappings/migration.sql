@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "ImportJob" ADD COLUMN     "columnMapping" JSONB;
+
+-- CreateTable
+CREATE TABLE "ColumnMapping" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "signature" TEXT NOT NULL,
+    "mapping" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ColumnMapping_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ColumnMapping_shop_signature_key" ON "ColumnMapping"("shop", "signature");
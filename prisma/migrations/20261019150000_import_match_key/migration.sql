@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ImportJob" ADD COLUMN     "matchKey" TEXT NOT NULL DEFAULT 'SKU';
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "ExportJob" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "locationId" TEXT NOT NULL,
+    "format" TEXT NOT NULL DEFAULT 'XLSX',
+    "bulkOperationId" TEXT,
+    "totalVariants" INTEGER NOT NULL DEFAULT 0,
+    "expectedObjects" INTEGER NOT NULL DEFAULT 0,
+    "objectCount" INTEGER NOT NULL DEFAULT 0,
+    "rowCount" INTEGER NOT NULL DEFAULT 0,
+    "rows" JSONB,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ExportJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ExportJob_shop_createdAt_idx" ON "ExportJob"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ExportJob_status_idx" ON "ExportJob"("status");
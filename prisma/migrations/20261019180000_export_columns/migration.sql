@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "ExportJob" ADD COLUMN     "columns" JSONB;
+
+-- CreateTable
+CREATE TABLE "ExportColumnPreference" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "columns" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExportColumnPreference_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExportColumnPreference_shop_key" ON "ExportColumnPreference"("shop");
@@ -0,0 +1,11 @@
+/*
+  Warnings:
+
+  - You are about to drop the column `rows` on the `ExportJob` table. All the data in the column will be lost.
+
+*/
+-- AlterTable
+ALTER TABLE "ExportJob" DROP COLUMN "rows",
+ADD COLUMN     "file" BYTEA,
+ADD COLUMN     "fileName" TEXT,
+ADD COLUMN     "fileSize" INTEGER;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ExportJob" ADD COLUMN     "layout" TEXT NOT NULL DEFAULT 'ROWS';
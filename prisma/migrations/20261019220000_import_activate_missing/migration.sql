@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ImportJob" ADD COLUMN     "activateMissing" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "activatedRows" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ImportJob" ADD COLUMN     "tagsMode" TEXT NOT NULL DEFAULT 'REPLACE';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ImportJob" ADD COLUMN     "createMissing" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,56 @@
+-- CreateTable
+CREATE TABLE "ImportSchedule" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "scheduleType" TEXT NOT NULL DEFAULT 'CRON',
+    "cron" TEXT,
+    "intervalMinutes" INTEGER,
+    "sourceUrl" TEXT NOT NULL,
+    "sftpPassword" TEXT,
+    "locationId" TEXT NOT NULL,
+    "mode" TEXT NOT NULL DEFAULT 'SET',
+    "conflictPolicy" TEXT NOT NULL DEFAULT 'SKIP',
+    "matchKey" TEXT NOT NULL DEFAULT 'SKU',
+    "columnMapping" JSONB,
+    "nextRunAt" TIMESTAMP(3),
+    "lastRunAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ImportSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ImportScheduleRun" (
+    "id" SERIAL NOT NULL,
+    "scheduleId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'RUNNING',
+    "fileName" TEXT,
+    "fileSize" INTEGER,
+    "error" TEXT,
+    "jobId" INTEGER,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ImportScheduleRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ImportSchedule_shop_idx" ON "ImportSchedule"("shop");
+
+-- CreateIndex
+CREATE INDEX "ImportSchedule_enabled_nextRunAt_idx" ON "ImportSchedule"("enabled", "nextRunAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ImportScheduleRun_jobId_key" ON "ImportScheduleRun"("jobId");
+
+-- CreateIndex
+CREATE INDEX "ImportScheduleRun_scheduleId_startedAt_idx" ON "ImportScheduleRun"("scheduleId", "startedAt");
+
+-- AddForeignKey
+ALTER TABLE "ImportScheduleRun" ADD CONSTRAINT "ImportScheduleRun_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "ImportSchedule"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ImportScheduleRun" ADD CONSTRAINT "ImportScheduleRun_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "ImportJob"("id") ON DELETE SET NULL ON UPDATE CASCADE;
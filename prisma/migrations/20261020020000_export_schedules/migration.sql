@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "ExportJob" ADD COLUMN     "scheduleId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ExportSchedule" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "scheduleType" TEXT NOT NULL DEFAULT 'CRON',
+    "cron" TEXT,
+    "intervalMinutes" INTEGER,
+    "locationId" TEXT NOT NULL,
+    "format" TEXT NOT NULL DEFAULT 'XLSX',
+    "layout" TEXT NOT NULL DEFAULT 'ROWS',
+    "filters" JSONB,
+    "columns" JSONB,
+    "keepFiles" INTEGER NOT NULL DEFAULT 7,
+    "nextRunAt" TIMESTAMP(3),
+    "lastRunAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExportSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ExportSchedule_shop_idx" ON "ExportSchedule"("shop");
+
+-- CreateIndex
+CREATE INDEX "ExportSchedule_enabled_nextRunAt_idx" ON "ExportSchedule"("enabled", "nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "ExportJob_scheduleId_createdAt_idx" ON "ExportJob"("scheduleId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ExportJob" ADD CONSTRAINT "ExportJob_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "ExportSchedule"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "ImportJob" ADD COLUMN     "rollbackUser" JSONB,
+ADD COLUMN     "userEmail" TEXT,
+ADD COLUMN     "userId" TEXT,
+ADD COLUMN     "userName" TEXT;
+
+-- CreateIndex
+CREATE INDEX "ImportJob_shop_userId_idx" ON "ImportJob"("shop", "userId");
+
+-- CreateIndex
+CREATE INDEX "ImportChange_sku_createdAt_idx" ON "ImportChange"("sku", "createdAt");
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "ImportJob" ADD COLUMN     "adjustmentReason" TEXT NOT NULL DEFAULT 'correction',
+ADD COLUMN     "blankQuantity" TEXT NOT NULL DEFAULT 'SKIP',
+ADD COLUMN     "duplicateRows" TEXT NOT NULL DEFAULT 'ERROR';
+
+-- CreateTable
+CREATE TABLE "ShopSettings" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "defaultLocationId" TEXT,
+    "matchKey" TEXT NOT NULL DEFAULT 'SKU',
+    "duplicateRows" TEXT NOT NULL DEFAULT 'ERROR',
+    "blankQuantity" TEXT NOT NULL DEFAULT 'SKIP',
+    "adjustmentReason" TEXT NOT NULL DEFAULT 'correction',
+    "exportFormat" TEXT NOT NULL DEFAULT 'XLSX',
+    "exportColumns" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShopSettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopSettings_shop_key" ON "ShopSettings"("shop");
+
+-- The remembered export columns become the shop's default columns.
+INSERT INTO "ShopSettings" ("shop", "exportColumns", "updatedAt")
+SELECT "shop", "columns", "updatedAt" FROM "ExportColumnPreference";
+
+-- DropTable
+DROP TABLE "ExportColumnPreference";